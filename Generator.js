@@ -7,86 +7,236 @@
  * 
  * These have limited support for ES6 generators as well -- You can pass an ES6 generator instance 
  * or generator function (as long as it takes no arguments) into the Generator constructor and then
- * can use the ES5-style API.
+ * can use the ES5-style API. The same goes for async generators, and for any other iterable or 
+ * async iterable (see Generator.from()).
  * 
- * The reverse (using ES5 generators as ES6 generators when running ES6) is not currently possible, 
- * though if a good way to implement it is found, it may be added later. This is unlikely though.
+ * The reverse is possible too when running ES2018 or later: Generators are async iterables, so 
+ * they can be consumed with for-await (see iterator()).
  * 
- * @param function(done,reject,emit)|function* cb
+ * A generator settles exactly once: after done() or reject() has been called, further
+ * calls to done(), reject() and emit() from the producer are ignored. Listeners for done 
+ * and catch which are registered after the generator has settled are called right away
+ * (asynchronously, like Promise does). Items are not normally kept around after they are 
+ * emitted, but passing the `replay` option will buffer them so that emit listeners 
+ * registered late receive every item emitted so far (at the cost of O(N) memory).
+ * 
+ * Generators support backpressure. The emit() function given to the producer returns a 
+ * Promise which resolves once the item has been delivered to the consumers and they are 
+ * ready for more. Consumers slow things down either by returning a Promise from their 
+ * emit listener, or by calling pause() and resume(). Producers which want to respect 
+ * backpressure should wait for the Promise returned by emit() before producing the 
+ * next item; producers which ignore it have their items queued instead. Arrays and 
+ * ES6 generators passed to the constructor are only read as fast as they are consumed.
+ * 
+ * Generators can be cancelled with cancel(), or by passing an AbortSignal-like object 
+ * (anything with `aborted` and addEventListener()) as the `signal` option. A cancelled 
+ * generator drops any items it has not delivered yet, ignores its producer from then on, 
+ * and calls its cancelled listeners instead of its done or catch listeners. Producers
+ * can register cleanup work (closing sockets, clearing intervals) to run on cancellation 
+ * by passing a function to onCancel(), the fourth argument given to the producer.
+ * 
+ * Exceptions thrown by the producer and by emit listeners (including rejections of 
+ * Promises returned from emit listeners) reject the generator, calling its catch 
+ * listeners. When an emit listener fails, items which were not delivered yet are 
+ * dropped and the producer's onCancel() hooks are run so that it stops producing.
+ * 
+ * Events are delivered to listeners asynchronously, by a scheduler (see Generator.schedulers).
+ * The default is Generator.schedulers.immediate, which can be changed for all generators 
+ * created afterwards with Generator.setScheduler(), or for one generator with the 
+ * `scheduler` option.
+ * 
+ * The producer normally runs right away. With the `lazy` option, it only runs once the 
+ * first emit or done listener is registered (including through then(), iterator() and 
+ * the operators), so that generators can be created ahead of time without starting work
+ * or losing items. A lazy generator which is cancelled before that never runs its producer.
+ * 
+ * Options:
+ * - replay: Buffer emitted items and replay them to late emit listeners (default false)
+ * - signal: An AbortSignal-like object which cancels the generator when aborted
+ * - scheduler: A scheduler function, or the name of one of Generator.schedulers
+ * - lazy: Run the producer on the first emit or done subscription (default false)
+ * - name: A name for the generator, shown by tracers (see Generator.setTracer())
+ * 
+ * See Generator.setStrict() for detecting common mistakes in the use of generators.
+ * 
+ * @param function(done,reject,emit,onCancel)|function*|Array|Promise|Iterable|AsyncIterable cb
+ * @param {object} options
  * @returns {Generator}
  */
-function Generator(cb) {
+function Generator(cb, options) {
 	
 	
 	var self = this;
 	
+	options = options || {};
+	
+	self.state = Generator.PENDING;
+	self._error = undefined;
+	self._replay = !!options.replay;
+	self._buffer = [];
+	self._pendingReplays = [];
+	
+	self._scheduler = Generator._resolveScheduler(options.scheduler || Generator._defaultScheduler);
+	self._queue = [];
+	self._head = 0;
+	self._scheduled = false;
+	self._draining = false;
+	self._paused = false;
+	self._waiting = 0;
+	
+	self._settled = false;
+	self._cancelHooks = [];
+	self._detachSignal = null;
+	
 	self._registeredEmits = [];
 	self._registeredCatches = [];
 	self._registeredDones = [];
+	self._registeredCancels = [];
+	self._start = null;
 	
-	var callback = function(fns, args) {
-		for (var i = 0, max = fns.length; i < max; ++i) {
-			fns[i].apply(null, args);
-		}
-	};
+	self.name = options.name || null;
+	self._id = ++Generator._lastId;
+	self._sources = [];
+	self._emitted = 0;
+	self._createdAt = Date.now();
+	self._firstItemAt = null;
+	self._settledAt = null;
+	self._creationStack = null;
+	
+	if (Generator._strict)
+		Generator._watch(self);
+	
+	Generator._trace('create', self);
+	
+	// Whether the producer itself has called done() or reject(), as opposed 
+	// to the generator being cancelled or failed by a consumer
+	var finished = false;
 	
 	var done = function() {
-		setTimeout(function() {
-			callback(self._registeredDones, []);
-		}, 1);
+		if (finished)
+			Generator._misuse(self, 'settle-after-settle', 'done() was called after the generator had already settled');
+		if (self._settled)
+			return;
+		self._settled = finished = true;
+		
+		self._enqueue({ type: 'done', args: [] });
 	};
 	
 	var reject = function(error) {
-		setTimeout(function() {
-			callback(self._registeredCatches, [error]);
-		}, 1);
+		if (finished)
+			Generator._misuse(self, 'settle-after-settle', 'reject() was called after the generator had already settled');
+		if (self._settled)
+			return;
+		self._settled = finished = true;
+		
+		self._enqueue({ type: 'reject', args: [error] });
 	};
 	
 	var emit = function(item, cancel) {
-		setTimeout(function() {
-			callback(self._registeredEmits, [item, cancel]);
-		}, 1);
+		if (finished)
+			Generator._misuse(self, 'emit-after-settle', 'emit() was called after the generator had already settled');
+		if (self._settled)
+			return Promise.resolve();
+		
+		if (Generator._strict)
+			self._lastActivity = Date.now();
+		
+		if (!cancel) {
+			cancel = function() {
+				self.cancel();
+			};
+		}
+		
+		return new Promise(function(resolve) {
+			self._enqueue({ type: 'emit', args: [item, cancel], delivered: resolve });
+		});
+	};
+	
+	var onCancel = function(fn) {
+		if (self.state == Generator.CANCELLED) {
+			fn();
+			return;
+		}
+		
+		self._cancelHooks.push(fn);
 	};
 	
+	if (options.signal) {
+		var signal = options.signal;
+		
+		if (signal.aborted) {
+			self.cancel();
+			return;
+		}
+		
+		var abort = function() {
+			self.cancel();
+		};
+		
+		signal.addEventListener('abort', abort);
+		self._detachSignal = function() {
+			signal.removeEventListener('abort', abort);
+		};
+	}
+	
+	if (options.lazy) {
+		self._start = function() {
+			self._start = null;
+			
+			if (!self._settled)
+				self._run(cb, done, reject, emit, onCancel);
+		};
+		return;
+	}
+	
+	self._run(cb, done, reject, emit, onCancel);
+}
+
+/**
+ * Start producing items from the given source, which is anything the constructor 
+ * accepts. Called by the constructor, or on the first subscription for lazy generators.
+ * 
+ * @param function(done,reject,emit,onCancel)|function*|Array|Promise|Iterable|AsyncIterable cb
+ * @param function() done
+ * @param function(error) reject
+ * @param function(item,cancel) emit
+ * @param function(fn) onCancel
+ */
+Generator.prototype._run = function(cb, done, reject, emit, onCancel) {
 	// Can't iterate over a generator function, only
 	// a generator instance. Start the generator, assuming 
 	// it takes no arguments as there is no other option.
 	// We'll act as if that instance was passed in.
 
-	if (cb.constructor.name == 'GeneratorFunction') {
+	if (cb.constructor.name == 'GeneratorFunction' || cb.constructor.name == 'AsyncGeneratorFunction') {
 		cb = cb();
 	}
 
-	// We can wrap ES6 generators too.
-
-	if (cb.constructor.name == 'GeneratorFunctionPrototype') {
-		var item;
-		var cancelled = false;
-		
-		while (!cancelled && !(item = cb.next()).done) {
-			emit(item.value, function() {
-				cancelled = true;
-			});
-		}
-		done();
-
-		return;
-	} 
-
 	// We can wrap arrays
 
 	if (cb.constructor.name == 'Array') { 
 		var items = cb;
 		var position = 0;
 		var cancelled = false;
-		for (var i = 0, max = items.length; i < max; ++i) {
-			emit(items[i], function() {
-				cancelled = true;
-			});
-		}
-
-		done();
-
+		var cancel = function() {
+			cancelled = true;
+		};
+		
+		onCancel(cancel);
+		
+		var next = function() {
+			if (cancelled || position >= items.length) {
+				done();
+				return;
+			}
+			
+			emit(items[position++], cancel).then(next);
+		};
+		
+		// Start reading once the code which created the generator has had a chance 
+		// to register its listeners, even with the sync scheduler
+		
+		Promise.resolve().then(next);
 		return;
 	}
 
@@ -96,407 +246,4076 @@ function Generator(cb) {
 		cb.then(function(result) {
 			emit(result, function() { });
 			done();
+		}, function(err) {
+			reject(err);
 		});
 		return;
 	}
 
-	// Standard ES5 route.
-
-	cb(done, reject, emit);
-}
+	// We can wrap async iterables (async generators, streams, other Generators)
 
-// Integrate with the environment.
+	if (Generator._isAsyncIterable(cb)) {
+		var iterator = cb[Symbol.asyncIterator]();
+		var cancelled = false;
+		var cancel = function() {
+			if (cancelled)
+				return;
+			cancelled = true;
+			Generator._closeIterator(iterator);
+		};
+		
+		onCancel(cancel);
+		
+		var next = function() {
+			if (cancelled) {
+				done();
+				return;
+			}
+			
+			iterator.next().then(function(item) {
+				if (cancelled || item.done) {
+					done();
+					return;
+				}
+				
+				emit(item.value, cancel).then(next);
+			}, function(err) {
+				reject(err);
+			});
+		};
+		
+		next();
+		return;
+	}
 
-if (typeof window !== 'undefined')
-	window.Generator = Generator;
+	// We can wrap ES6 generators too, and any other iterable.
 
-if (typeof module !== 'undefined')
-	module.exports = Generator;
+	if (cb.constructor.name == 'GeneratorFunctionPrototype' || Generator._isIterable(cb)) {
+		var iterator = typeof cb.next === 'function' ? cb : cb[Symbol.iterator]();
+		var cancelled = false;
+		var cancel = function() {
+			if (cancelled)
+				return;
+			cancelled = true;
+			Generator._closeIterator(iterator);
+		};
+		
+		onCancel(cancel);
+		
+		var next = function() {
+			var item;
+			
+			try {
+				item = cancelled ? null : iterator.next();
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			
+			if (cancelled || item.done) {
+				done();
+				return;
+			}
+			
+			emit(item.value, cancel).then(next);
+		};
+		
+		Promise.resolve().then(next);
+		return;
+	} 
 
-// Errors thrown from generators
+	// Standard ES5 route.
 
-Generator.InvalidResolution = {
-	error: 'streamablePromise-invalid-resolution',
-	message: 'You cannot resolve() a Generator with a value. '+
-			 'The Promise value of a generator is always an array of yielded items'
-};
-Generator.InvalidSubpromiseResolution = {
-	error: 'streamablePromise-invalid-subresolution',
-	message: 'While attempting to combine the results of multiple promises, '+
-			 'one of the promises returned an item which was not an array.'
+	try {
+		cb(done, reject, emit, onCancel);
+	} catch (e) {
+		reject(e);
+	}
 };
 
-// Static methods
+// Event dispatch. Events raised by the producer are queued and delivered in order 
+// (so every item is delivered before done), holding back items while the generator 
+// is paused or a consumer is still busy with the previous item. The queue is drained
+// by the generator's scheduler.
 
-/**
- * Create a generator to emit a single value as given.
- * @param {type} value
- * @returns {Generator}
- */
-Generator.resolve = function(value) {
-	return new Generator(function(done, reject, emit) {
-		emit(value);
-		done();
-	});
-}
+Generator.prototype._enqueue = function(event) {
+	this._queue.push(event);
+	this._schedule();
+};
+
+Generator.prototype._schedule = function() {
+	if (this._scheduled || this._draining)
+		return;
 	
-/**
- * Create a generator which emits for each item of the promise's array result.
- * If the promise does not provide an array, this will break.
- */
-Generator.splitPromise = function(promise) {
-	return new Generator(function(done, reject, emit) {
-		promise.then(function(result) {
-			for (var i = 0, max = result.length; i < max; ++i)
-				emit(result[i]);
-			done();
-		});
+	var self = this;
+	self._scheduled = true;
+	self._scheduler(function() {
+		self._scheduled = false;
+		self._drain();
 	});
 };
 
-/**
- * Union the results of the given generators into a single generator
- * 
- * @param {type} promises
- * @returns {undefined}
- */
-Generator.union = function(generators) {
-	return new Generator(function(done, reject, emit) {
-		var promises = [];
+Generator.prototype._drain = function() {
+	if (this._draining)
+		return;
+	
+	this._draining = true;
+	
+	try {
+		this._flushReplays();
 		
-		for (var i = 0, max = generators.length; i < max; ++i) {
-			var generator = generators[i];
-
-			if (generator.emit) {
-				generator.emit(function(item) {
-					emit(item);
-				});
-				
-				promises.push(generator.done());
+		while (true) {
+			var queue = this._queue;
+			
+			while (queue === this._queue && this._head < queue.length && this._waiting == 0) {
+				var event = queue[this._head];
 				
-			} else {
-				Console.log('WARNING: Passing promises directly to Generator.union() is deprecated. Please wrap the promise in a Generator first.');
+				if (event.type == 'emit' && this._paused)
+					break;
 				
-				promises.push(generator.then(function(items) {
-					if (typeof items !== 'object' || items.length === undefined) {
-						throw Generator.InvalidSubpromiseResolution;
-					}
-					
-					for (var j = 0, jMax = items.length; j < jMax; ++j) {
-						emit(items[j]);
-					}
-				}));
+				queue[this._head++] = null;
+				this._dispatch(event);
+				this._flushReplays();
+			}
+			
+			// cancel() and _fail() replace the queue, start over on the new one
+			
+			if (queue !== this._queue)
+				continue;
+			
+			// Dispatched events are only cleared out of the queue once they make up 
+			// most of it, as slicing it whenever a consumer holds things up would 
+			// make draining quadratic
+			
+			if (this._head == queue.length) {
+				this._queue = [];
+				this._head = 0;
+			} else if (this._head > 1024 && this._head * 2 > queue.length) {
+				this._queue = queue.slice(this._head);
+				this._head = 0;
 			}
+			break;
 		}
+	} finally {
+		this._draining = false;
+	}
+};
+
+Generator.prototype._dispatch = function(event) {
+	var self = this;
+	
+	if (event.type == 'done') {
+		self.state = Generator.COMPLETED;
+		self._settledAt = Date.now();
+		self._release();
+		Generator._trace('done', self);
+		Generator._callback(self._registeredDones, event.args);
+		return;
+	}
+	
+	if (event.type == 'reject') {
+		self.state = Generator.REJECTED;
+		self._error = event.args[0];
+		self._settledAt = Date.now();
+		self._release();
+		Generator._trace('reject', self, self._error);
+		Generator._callback(self._registeredCatches, event.args);
+		return;
+	}
+	
+	if (self._firstItemAt === null)
+		self._firstItemAt = Date.now();
+	++self._emitted;
+	Generator._trace('emit', self, event.args[0]);
+	
+	if (self._replay)
+		self._buffer.push(event.args);
+	
+	var fns = self._registeredEmits.slice();
+	var busy = [];
+	
+	for (var i = 0, max = fns.length; i < max; ++i) {
+		var result;
 		
-		Promise.all(promises).then(function() {
-			done();
-		});
+		try {
+			result = fns[i].apply(null, event.args);
+		} catch (e) {
+			self._fail(e);
+			continue;
+		}
 		
+		if (result && typeof result.then === 'function')
+			busy.push(result);
+	}
+	
+	if (busy.length == 0) {
+		event.delivered();
+		return;
+	}
+	
+	var release = function() {
+		--self._waiting;
+		event.delivered();
+		self._schedule();
+	};
+	
+	++self._waiting;
+	Promise.all(busy).then(release, function(err) {
+		self._fail(err);
+		release();
 	});
 };
 
 /**
- * Return items which occur in setA but not in setB.
- * Equality is determined via strict equals (===).
- * Pass a comparator function to override this behavior.
+ * Reject the generator because one of its consumers failed. Undelivered items
+ * (and any completion the producer already queued) are dropped in favour of the
+ * rejection, and the producer's onCancel() hooks are run so that it stops.
  * 
- * @param {type} promiseForBigSet
- * @param {type} promiseForItemsToExclude
- * @returns {undefined}
+ * @param {*} error
  */
-Generator.exclude = function(setA, setB, comparator)
-{
-	if (comparator === undefined) {
-		comparator = function(a, b) {
-			return a === b;
-		}
+Generator.prototype._fail = function(error) {
+	if (this.state != Generator.PENDING)
+		return;
+	
+	var queue = this._queue;
+	var head = this._head;
+	var hooks = this._cancelHooks;
+	
+	this._settled = true;
+	this._cancelHooks = [];
+	this._queue = [{ type: 'reject', args: [error] }];
+	this._head = 0;
+	
+	for (var i = head, max = queue.length; i < max; ++i) {
+		if (queue[i].delivered)
+			queue[i].delivered();
 	}
 	
-	return new Generator(function(resolve, reject, emit) {
-		var itemsA = [];
-		var itemsB = [];
+	for (var i = 0, max = hooks.length; i < max; ++i) {
+		hooks[i]();
+	}
+	
+	this._schedule();
+};
 
-		Promise.all([
-			setA.then(function(items) {
-				itemsA = items;
-			}),
+Generator.prototype._release = function() {
+	this._cancelHooks = [];
+	
+	if (this._detachSignal) {
+		this._detachSignal();
+		this._detachSignal = null;
+	}
+};
 
-			setB.then(function(items) {
-				itemsB = items;
-			})
-		]).then(function() {
-			for (var i = 0, max = itemsA.length; i < max; ++i) {
-				var itemA = itemsA[i];
-				var skip = false;
+/**
+ * Cancel the given generator whenever one of its sources is cancelled, and cancel 
+ * all of the sources when the generator is cancelled or rejected. Used by operators 
+ * and combinators so that cancellation travels through a whole pipeline, and so 
+ * that a failing pipeline stops its sources. Sources which are not Generators 
+ * (such as plain promises) are skipped.
+ * 
+ * @param {Array} sources
+ * @param {Generator} generator
+ * @returns {Generator}
+ */
+Generator._linkCancellation = function(sources, generator) {
+	Generator._link(generator, sources);
+	
+	for (var i = 0, max = sources.length; i < max; ++i) {
+		var source = sources[i];
+		
+		if (!(source instanceof Generator))
+			continue;
+		
+		source.cancelled(function() {
+			generator.cancel();
+		});
+	}
+	
+	var cancelSources = function() {
+		for (var i = 0, max = sources.length; i < max; ++i) {
+			if (sources[i] instanceof Generator)
+				sources[i].cancel();
+		}
+	};
+	
+	generator.cancelled(cancelSources).catch(cancelSources);
+	
+	return generator;
+};
 
-				for (var j = 0, jMax = itemsB.length; j < jMax; ++j) {
-					var itemB = itemsB[j];
+/**
+ * Apply the `deadline` option of a combinator: a number of milliseconds from now, or 
+ * a Date. Returns the generator itself when no deadline is given, and otherwise a 
+ * generator which rejects with Generator.TimeoutError once the deadline has passed 
+ * (see timeout()).
+ * 
+ * @param {Generator} generator
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator._withDeadline = function(generator, options) {
+	if (!options || options.deadline === undefined || options.deadline === null)
+		return generator;
+	
+	var deadline = options.deadline;
+	
+	if (deadline instanceof Date)
+		deadline = deadline.getTime() - Date.now();
+	
+	return generator.timeout({ total: Math.max(0, deadline) });
+};
 
-					if (comparator(itemA, itemB)) {
-						skip = true;
-						break;
-					}
-				}
+Generator._isAsyncIterable = function(value) {
+	return typeof Symbol !== 'undefined' && !!Symbol.asyncIterator 
+		&& value !== null && typeof value === 'object'
+		&& typeof value[Symbol.asyncIterator] === 'function';
+};
 
-				if (skip)
-					continue;
+Generator._isIterable = function(value) {
+	return typeof Symbol !== 'undefined' && !!Symbol.iterator 
+		&& value !== null && typeof value === 'object'
+		&& typeof value[Symbol.iterator] === 'function';
+};
 
-				emit(itemA);
-			}
-			
-			resolve();
-		});
-	});
-}
+/**
+ * Let an iterator we stopped reading early run its cleanup (such as the finally 
+ * blocks of an ES6 generator). Failures while closing are ignored.
+ */
+Generator._closeIterator = function(iterator) {
+	if (typeof iterator.return !== 'function')
+		return;
+	
+	try {
+		var result = iterator.return();
+		if (result && typeof result.then === 'function')
+			result.then(null, function() { });
+	} catch (e) {
+	}
+};
 
 /**
- * Intersects the given set of generators, using the given "hasher" function
- * to produce an ID string for each object. This approach is much more efficient than intersecting
- * by comparison (intersectByComparison()), so this should be used instead whenever possible.
- * Efficiency: ?
- * 
- * @param {type} promises
- * @param {type} hasher
- * @returns {undefined}
+ * Turn a source given to a combinator into a Generator. Promises are expected 
+ * to provide an array (see splitPromise()), anything else goes to Generator.from().
  */
-Generator.intersectByHash = function(generators, hasher) {
+Generator._toSource = function(source) {
+	if (source instanceof Generator)
+		return source;
 	
-	return new Generator(function(resolve, reject, emit) {
-		var map = {};
+	if (source && typeof source.then === 'function')
+		return Generator.splitPromise(source);
+	
+	return Generator.from(source);
+};
+
+Generator._toSources = function(sources) {
+	var generators = [];
+	
+	for (var i = 0, max = sources.length; i < max; ++i) {
+		generators.push(Generator._toSource(sources[i]));
+	}
+	
+	return generators;
+};
+
+/**
+ * Create a map from items to values, supporting get(), set(), has() and add() 
+ * (which sets the value to true). Items are looked up by the ID string the hasher
+ * produces if one is given, otherwise with the comparator, otherwise by identity (===).
+ */
+Generator._lookup = function(hasher, comparator) {
+	var lookup = {
+		has: function(item) {
+			return lookup.get(item) !== undefined;
+		},
+		add: function(item) {
+			lookup.set(item, true);
+		}
+	};
+	
+	if (hasher) {
+		var keys = {};
+		
+		lookup.get = function(item) {
+			var key = hasher(item);
+			return Object.prototype.hasOwnProperty.call(keys, key) ? keys[key] : undefined;
+		};
+		lookup.set = function(item, value) {
+			keys[hasher(item)] = value;
+		};
+		
+		return lookup;
+	}
+	
+	if (!comparator && typeof Map === 'function') {
+		var map = new Map();
+		
+		lookup.get = function(item) {
+			return map.get(item);
+		};
+		lookup.set = function(item, value) {
+			map.set(item, value);
+		};
+		
+		return lookup;
+	}
+	
+	var entries = [];
+	var find = function(item) {
+		for (var i = 0, max = entries.length; i < max; ++i) {
+			if (comparator ? comparator(entries[i].item, item) : entries[i].item === item)
+				return entries[i];
+		}
+		
+		return null;
+	};
+	
+	lookup.get = function(item) {
+		var entry = find(item);
+		return entry ? entry.value : undefined;
+	};
+	lookup.set = function(item, value) {
+		var entry = find(item);
+		
+		if (entry)
+			entry.value = value;
+		else
+			entries.push({ item: item, value: value });
+	};
+	
+	return lookup;
+};
+
+Generator._callback = function(fns, args) {
+	var results = [];
+	
+	fns = fns.slice();
+	for (var i = 0, max = fns.length; i < max; ++i) {
+		results.push(fns[i].apply(null, args));
+	}
+	
+	return results;
+};
+
+// Integrate with the environment.
+
+if (typeof window !== 'undefined')
+	window.Generator = Generator;
+
+if (typeof module !== 'undefined')
+	module.exports = Generator;
+
+// Lifecycle states
+
+Generator.PENDING = 'pending';
+Generator.COMPLETED = 'completed';
+Generator.REJECTED = 'rejected';
+Generator.CANCELLED = 'cancelled';
+
+// Schedulers. A scheduler is a function which runs the task given to it, now or later.
+
+Generator.schedulers = {
+	
+	/**
+	 * Run tasks right away. Listeners are called from within the producer's 
+	 * emit(), done() and reject() calls, so they must be registered before 
+	 * the producer runs (or the `replay` option used). Arrays and iterables
+	 * passed to the constructor are read from a microtask, so listeners registered 
+	 * right after creating the generator receive all of their items.
+	 */
+	sync: function(task) {
+		task();
+	},
+	
+	/**
+	 * Run tasks as microtasks, as soon as the current code has finished. This is the
+	 * fastest asynchronous scheduler, but items can be delivered before a consumer 
+	 * which only subscribes from a later microtask (such as await) gets to see them.
+	 */
+	microtask: function(task) {
+		if (typeof queueMicrotask === 'function')
+			queueMicrotask(task);
+		else
+			Promise.resolve().then(task);
+	},
+	
+	/**
+	 * Run tasks with setImmediate() where available, letting I/O happen in between.
+	 */
+	immediate: function(task) {
+		if (typeof setImmediate === 'function')
+			setImmediate(task);
+		else
+			setTimeout(task, 0);
+	},
+	
+	/**
+	 * Run tasks with setTimeout(). This was the only behavior of older versions.
+	 */
+	timeout: function(task) {
+		setTimeout(task, 1);
+	}
+};
+
+Generator._defaultScheduler = Generator.schedulers.immediate;
+
+/**
+ * Change the scheduler used by generators created from now on.
+ * 
+ * @param {function|string} scheduler A scheduler function, or the name of one of Generator.schedulers
+ */
+Generator.setScheduler = function(scheduler) {
+	Generator._defaultScheduler = Generator._resolveScheduler(scheduler);
+};
+
+Generator._resolveScheduler = function(scheduler) {
+	if (typeof scheduler === 'function')
+		return scheduler;
+	
+	if (!Generator.schedulers.hasOwnProperty(scheduler))
+		throw new Error('Unknown Generator scheduler: '+scheduler);
+	
+	return Generator.schedulers[scheduler];
+};
+
+// Logging
+
+Generator._consoleLogger = {
+	warn: function(message) {
+		if (typeof console !== 'undefined' && console.warn)
+			console.warn('Generator: '+message);
+	}
+};
+Generator._logger = Generator._consoleLogger;
+Generator._deprecations = {};
+
+/**
+ * Change where warnings, such as deprecation notices, are reported. The logger must
+ * have a warn(message) method, and may have a deprecate(message) method to receive 
+ * deprecation notices separately (each is reported once). Pass null to silence them.
+ * By default, and when called without a logger, warnings go to console.warn().
+ * 
+ * @param {object} logger
+ */
+Generator.setLogger = function(logger) {
+	Generator._logger = logger === undefined ? Generator._consoleLogger : logger;
+};
+
+Generator._warn = function(message) {
+	if (Generator._logger)
+		Generator._logger.warn(message);
+};
+
+Generator._deprecate = function(message) {
+	if (Generator._deprecations[message])
+		return;
+	Generator._deprecations[message] = true;
+	
+	if (Generator._logger && Generator._logger.deprecate)
+		Generator._logger.deprecate(message);
+	else
+		Generator._warn(message);
+};
+
+// Tracing
+
+Generator._tracer = null;
+Generator._lastId = 0;
+
+/**
+ * Install a tracer, a function which receives an event object for everything 
+ * that happens to every generator, or pass null to remove it. Events have a `type`, 
+ * the `generator`, the `time` (from Date.now()) and, depending on the type, `data`:
+ * 
+ * - create: A generator was created
+ * - emit: An item (`data`) is delivered to the emit listeners
+ * - done: The generator completed
+ * - reject: The generator was rejected with an error (`data`)
+ * - cancel: The generator was cancelled
+ * - listen: A listener was registered, for the event named by `data` 
+ *   ('emit', 'done', 'catch' or 'cancelled')
+ * - link: An operator or combinator generator was created from the sources in 
+ *   `data`; they are also available from its sources() method
+ * 
+ * Use the generator's `name` (see the `name` option and named()) and stats() to 
+ * tell generators apart. Generator.debugTracer() creates a tracer which keeps track 
+ * of the generators which have not settled yet.
+ * 
+ * @param function(event) tracer
+ */
+Generator.setTracer = function(tracer) {
+	Generator._tracer = tracer || null;
+};
+
+Generator._trace = function(type, generator, data) {
+	if (!Generator._tracer)
+		return;
+	
+	try {
+		Generator._tracer({ type: type, generator: generator, time: Date.now(), data: data });
+	} catch (e) {
+		Generator._warn('The tracer failed on a '+type+' event: '+e);
+	}
+};
+
+Generator._link = function(generator, sources) {
+	var linked = [];
+	
+	for (var i = 0, max = sources.length; i < max; ++i) {
+		if (sources[i] instanceof Generator)
+			linked.push(sources[i]);
+	}
+	
+	generator._sources = generator._sources.concat(linked);
+	Generator._trace('link', generator, linked);
+};
+
+/**
+ * Create a tracer (see Generator.setTracer()) which keeps track of the generators 
+ * which have not settled yet. Its tree() method describes them as a tree, with the 
+ * sources of operators and combinators below them, along with their state and counters;
+ * print() writes that tree to the console, or to the `output` option. Settled sources 
+ * are still listed below their generator, which makes it easy to see which source of a 
+ * stalled pipeline never completed:
+ * 
+ *     Generator.setTracer(tracer = Generator.debugTracer());
+ *     // ...
+ *     tracer.print();
+ * 
+ *     union#12 (pending, 3 items, first after 4ms, 5006ms)
+ *       users#10 (completed, 2 items, first after 2ms, 9ms)
+ *       Generator#11 (pending, 1 item, first after 4ms, 5006ms)
+ * 
+ * Options:
+ * - output: function(text) called by print() (default console.log())
+ * 
+ * @param {object} options
+ * @returns function(event)
+ */
+Generator.debugTracer = function(options) {
+	options = options || {};
+	
+	var active = {};
+	
+	var tracer = function(event) {
+		if (event.type == 'create')
+			active[event.generator._id] = event.generator;
+		else if (event.type == 'done' || event.type == 'reject' || event.type == 'cancel')
+			delete active[event.generator._id];
+	};
+	
+	var describe = function(generator) {
+		var stats = generator.stats();
+		var text = Generator._label(generator)+' ('+generator.state+', '+
+			stats.emitted+(stats.emitted == 1 ? ' item' : ' items');
+		
+		if (stats.timeToFirstItem !== null)
+			text += ', first after '+stats.timeToFirstItem+'ms';
+		
+		return text+', '+stats.duration+'ms)';
+	};
+	
+	tracer.tree = function() {
+		var isSource = {};
+		var lines = [];
+		
+		for (var id in active) {
+			var sources = active[id]._sources;
+			
+			for (var i = 0, max = sources.length; i < max; ++i)
+				isSource[sources[i]._id] = true;
+		}
+		
+		var visit = function(generator, indent, path) {
+			lines.push(indent+describe(generator));
+			path = path.concat([generator]);
+			
+			for (var i = 0, max = generator._sources.length; i < max; ++i) {
+				if (path.indexOf(generator._sources[i]) < 0)
+					visit(generator._sources[i], indent+'  ', path);
+			}
+		};
+		
+		for (var id in active) {
+			if (!isSource[id])
+				visit(active[id], '', []);
+		}
+		
+		return lines.join('\n');
+	};
+	
+	tracer.print = function() {
+		var output = options.output || function(text) {
+			if (typeof console !== 'undefined')
+				console.log(text);
+		};
+		
+		output(tracer.tree());
+	};
+	
+	return tracer;
+};
+
+Generator._label = function(generator) {
+	return (generator.name || 'Generator')+'#'+generator._id;
+};
+
+// Strict mode
+
+Generator._strict = null;
+Generator._watched = [];
+Generator._watchTimer = null;
+
+/**
+ * Enable (or, when passed false, disable) strict mode, which reports common mistakes
+ * in the use of generators created from then on, along with the stack trace of 
+ * where each was created. It is meant for development, as capturing the stack traces
+ * slows down the creation of generators. Pass true or an object of options.
+ * 
+ * These problems are reported, each identified by a `type`:
+ * 
+ * - idle: The generator is still pending, and its producer has not emitted anything 
+ *   for `idleTimeout` milliseconds (reported once per generator)
+ * - emit-after-settle: The producer emitted after calling done() or reject()
+ * - settle-after-settle: The producer called done() or reject() more than once
+ * - listen-after-settle: An emit listener was registered after the generator settled 
+ *   (without the `replay` option), so it will never receive an item
+ * - then-buffer: then() has buffered `thenLimit` items, which is likely an infinite 
+ *   or very large generator
+ * 
+ * Problems are passed to the `report` option as `{ type, message, generator, stack }`,
+ * or otherwise written as warnings (see Generator.setLogger()).
+ * 
+ * Options:
+ * - idleTimeout: Milliseconds after which a pending generator is reported (default 30000)
+ * - thenLimit: Number of items buffered by then() which is reported (default 10000)
+ * - report: function(problem) receiving the problems
+ * 
+ * @param {boolean|object} options
+ */
+Generator.setStrict = function(options) {
+	if (Generator._watchTimer !== null)
+		clearInterval(Generator._watchTimer);
+	Generator._watchTimer = null;
+	Generator._watched = [];
+	
+	if (!options) {
+		Generator._strict = null;
+		return;
+	}
+	
+	if (options === true)
+		options = {};
+	
+	Generator._strict = {
+		idleTimeout: options.idleTimeout || 30000,
+		thenLimit: options.thenLimit || 10000,
+		report: options.report || null
+	};
+};
+
+Generator._watch = function(generator) {
+	generator._creationStack = new Error('Generator created').stack;
+	generator._lastActivity = generator._createdAt;
+	generator._idleReported = false;
+	
+	Generator._watched.push(generator);
+	
+	if (Generator._watchTimer !== null)
+		return;
+	
+	var idleTimeout = Generator._strict.idleTimeout;
+	
+	Generator._watchTimer = setInterval(function() {
+		var now = Date.now();
+		var watched = Generator._watched;
+		
+		Generator._watched = [];
+		
+		for (var i = 0, max = watched.length; i < max; ++i) {
+			var generator = watched[i];
+			
+			if (generator.state != Generator.PENDING || generator._settled)
+				continue;
+			
+			if (!generator._idleReported && now - generator._lastActivity >= idleTimeout) {
+				generator._idleReported = true;
+				Generator._misuse(generator, 'idle', 'The generator is still pending, and has not emitted anything for '+
+					(now - generator._lastActivity)+'ms');
+			}
+			
+			Generator._watched.push(generator);
+		}
+		
+		if (Generator._watched.length == 0) {
+			clearInterval(Generator._watchTimer);
+			Generator._watchTimer = null;
+		}
+	}, Math.max(10, idleTimeout / 2));
+	
+	// Don't keep Node.js running just to watch generators
+	if (Generator._watchTimer.unref)
+		Generator._watchTimer.unref();
+};
+
+Generator._misuse = function(generator, type, message) {
+	var strict = Generator._strict;
+	
+	if (!strict)
+		return;
+	
+	var problem = { type: type, message: message, generator: generator, stack: generator._creationStack };
+	
+	if (strict.report) {
+		strict.report(problem);
+		return;
+	}
+	
+	Generator._warn(message+' ('+Generator._label(generator)+')'+
+		(problem.stack ? '\n'+problem.stack : ''));
+};
+
+// Errors thrown from generators
+
+/**
+ * Base class of the errors raised by generators. Each kind of error has a `code`,
+ * which is also available as `error` (errors used to be plain objects with that 
+ * property). All of them are instances of Error, with a stack trace.
+ * 
+ * @param {string} message
+ * @param {string} code
+ */
+Generator.GeneratorError = function(message, code) {
+	this.name = 'GeneratorError';
+	this.message = message;
+	this.code = this.error = code;
+	
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, this.constructor);
+	else
+		this.stack = new Error(message).stack;
+};
+Generator.GeneratorError.prototype = Object.create(Error.prototype);
+Generator.GeneratorError.prototype.constructor = Generator.GeneratorError;
+
+/**
+ * Define a subclass of GeneratorError with the given name, code and default message.
+ * 
+ * @param {string} name
+ * @param {string} code
+ * @param {string} defaultMessage
+ * @returns {function}
+ */
+Generator._defineError = function(name, code, defaultMessage) {
+	var ErrorClass = function(message) {
+		Generator.GeneratorError.call(this, message || defaultMessage, code);
+		this.name = name;
+	};
+	
+	ErrorClass.prototype = Object.create(Generator.GeneratorError.prototype);
+	ErrorClass.prototype.constructor = ErrorClass;
+	
+	return ErrorClass;
+};
+
+Generator.InvalidResolution = Generator._defineError('InvalidResolution', 
+	'streamablePromise-invalid-resolution',
+	'You cannot resolve() a Generator with a value. '+
+	'The Promise value of a generator is always an array of yielded items');
+Generator.InvalidSubpromiseResolution = Generator._defineError('InvalidSubpromiseResolution', 
+	'streamablePromise-invalid-subresolution',
+	'While attempting to combine the results of multiple promises, '+
+	'one of the promises returned an item which was not an array.');
+Generator.CancelledError = Generator._defineError('CancelledError', 
+	'generator-cancelled',
+	'The generator was cancelled before it completed.');
+Generator.TimeoutError = Generator._defineError('TimeoutError', 
+	'generator-timeout',
+	'The generator did not emit or complete in time.');
+Generator.ChannelOverflowError = Generator._defineError('ChannelOverflowError', 
+	'generator-channel-overflow',
+	'An item was pushed into a channel whose buffer was full.');
+
+/**
+ * Raised when several sources (or items) have failed, with their errors in `errors`.
+ * 
+ * @param {Array} errors
+ * @param {string} message
+ */
+Generator.AggregateError = function(errors, message) {
+	Generator.GeneratorError.call(this, message || errors.length+' error(s) occurred', 'generator-aggregate');
+	this.name = 'AggregateError';
+	this.errors = errors;
+};
+Generator.AggregateError.prototype = Object.create(Generator.GeneratorError.prototype);
+Generator.AggregateError.prototype.constructor = Generator.AggregateError;
+
+// Static methods
+
+/**
+ * Create a generator to emit a single value as given.
+ * @param {type} value
+ * @returns {Generator}
+ */
+Generator.resolve = function(value) {
+	return new Generator(function(done, reject, emit) {
+		emit(value);
+		done();
+	});
+}
+	
+/**
+ * Create a generator from anything the Generator constructor accepts: a producer 
+ * function, an array, a Promise, an ES6 or async generator (or generator function), 
+ * or any other iterable or async iterable. Generators are returned as they are.
+ * 
+ * @param {type} source
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.from = function(source, options) {
+	if (source instanceof Generator)
+		return source;
+	
+	return new Generator(source, options);
+};
+
+/**
+ * Create a generator which emits for each item of the promise's array result.
+ * If the promise rejects, so does the generator. If the promise does not provide 
+ * an array, the generator is rejected with Generator.InvalidSubpromiseResolution.
+ */
+Generator.splitPromise = function(promise) {
+	return new Generator(function(done, reject, emit) {
+		promise.then(function(result) {
+			if (typeof result !== 'object' || result === null || result.length === undefined) {
+				reject(new Generator.InvalidSubpromiseResolution());
+				return;
+			}
+			
+			for (var i = 0, max = result.length; i < max; ++i)
+				emit(result[i]);
+			done();
+		}, function(err) {
+			reject(err);
+		});
+	});
+};
+
+/**
+ * Union the results of the given generators into a single generator.
+ * If any of the generators is rejected, the union is rejected right away 
+ * and the remaining generators are cancelled. With `failFast: false`, the other
+ * generators keep going instead, and once they have all finished the union is
+ * rejected with a Generator.AggregateError holding every error.
+ * 
+ * Options:
+ * - deadline: Reject with Generator.TimeoutError (cancelling the generators) if the
+ *   union has not completed within this many milliseconds, or by this Date
+ * - failFast: Reject as soon as one generator fails (default true)
+ * 
+ * @param {type} promises
+ * @param {object} options
+ * @returns {undefined}
+ */
+Generator.union = function(generators, options) {
+	return Generator._withDeadline(Generator._linkCancellation(generators, new Generator(function(done, reject, emit) {
+		var promises = [];
+		
+		for (var i = 0, max = generators.length; i < max; ++i) {
+			var generator = generators[i];
+
+			if (generator.emit) {
+				generator.emit(function(item) {
+					emit(item);
+				});
+				
+				promises.push(generator.done());
+				
+			} else {
+				Generator._deprecate('Passing promises directly to Generator.union() is deprecated. Please wrap the promise in a Generator first.');
+				
+				promises.push(generator.then(function(items) {
+					if (typeof items !== 'object' || items.length === undefined) {
+						throw new Generator.InvalidSubpromiseResolution();
+					}
+					
+					for (var j = 0, jMax = items.length; j < jMax; ++j) {
+						emit(items[j]);
+					}
+				}));
+			}
+		}
+		
+		var settled;
+		
+		if (!options || options.failFast !== false) {
+			settled = Promise.all(promises);
+		} else {
+			var errors = [];
+			
+			settled = Promise.all(promises.map(function(promise) {
+				return promise.then(null, function(err) {
+					errors.push(err);
+				});
+			})).then(function() {
+				if (errors.length > 0)
+					throw new Generator.AggregateError(errors);
+			});
+		}
+		
+		settled.then(function() {
+			done();
+		}, function(err) {
+			reject(err);
+		});
+		
+	})), options);
+};
+
+/**
+ * Merge generators whose items are already sorted into a single sorted generator
+ * (a streaming k-way merge). An item is emitted once every source which has not 
+ * completed yet has an item waiting, so at most one item per source is held at a
+ * time; sources are held back via backpressure while their item waits. The comparator
+ * works like the one given to Array.prototype.sort(), and defaults to comparing with 
+ * < and >. Items which compare equal are emitted in the order of the generators.
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} generators
+ * @param function(a,b) comparator
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.mergeSorted = function(generators, comparator, options) {
+	var sources = Generator._toSources(generators);
+	
+	if (!comparator) {
+		comparator = function(a, b) {
+			return a < b ? -1 : (a > b ? 1 : 0);
+		};
+	}
+	
+	return Generator._withDeadline(Generator._linkCancellation(sources, new Generator(function(done, reject, emit) {
+		var heads = [];
+		var ended = [];
+		
+		var flush = function() {
+			while (true) {
+				var best = -1;
+				
+				for (var i = 0, max = sources.length; i < max; ++i) {
+					if (!heads[i]) {
+						if (!ended[i])
+							return;
+						continue;
+					}
+					
+					if (best < 0 || comparator(heads[i].item, heads[best].item) < 0)
+						best = i;
+				}
+				
+				if (best < 0) {
+					done();
+					return;
+				}
+				
+				var head = heads[best];
+				heads[best] = null;
+				emit(head.item);
+				head.release();
+			}
+		};
+		
+		var tryFlush = function() {
+			try {
+				flush();
+			} catch (e) {
+				reject(e);
+			}
+		};
+		
+		var listen = function(index, source) {
+			heads[index] = null;
+			ended[index] = false;
+			
+			source.emit(function(item) {
+				return new Promise(function(resolve) {
+					heads[index] = { item: item, release: resolve };
+					tryFlush();
+				});
+			}).done(function() {
+				ended[index] = true;
+				tryFlush();
+			}).catch(function(err) {
+				reject(err);
+			});
+		};
+		
+		for (var i = 0, max = sources.length; i < max; ++i) {
+			listen(i, sources[i]);
+		}
+		
+		tryFlush();
+	})), options);
+};
+
+/**
+ * Return items which occur in setA but not in setB.
+ * Equality is determined via strict equals (===).
+ * Pass a comparator function to override this behavior, or pass { hasher: fn } 
+ * to compare the ID strings the hasher produces for each item (like intersectByHash()),
+ * which is much more efficient than a comparator.
+ * 
+ * Only setB is buffered. setA is paused until setB has completed, and then its items
+ * are emitted as they arrive, so this works for very large (even infinite) setA.
+ * Either set may be a Generator, a Promise for an array, or anything Generator.from()
+ * accepts.
+ * 
+ * @param {type} setA
+ * @param {type} setB
+ * @param {function|object} comparator
+ * @returns {Generator}
+ */
+Generator.exclude = function(setA, setB, comparator)
+{
+	var hasher = null;
+	
+	if (comparator && typeof comparator === 'object') {
+		hasher = comparator.hasher || null;
+		comparator = comparator.comparator;
+	}
+	
+	setA = Generator._toSource(setA);
+	setB = Generator._toSource(setB);
+	setA.pause();
+	
+	return Generator._linkCancellation([setA, setB], new Generator(function(resolve, reject, emit) {
+		var excluded = Generator._lookup(hasher, comparator);
+		
+		setB.emit(function(item) {
+			excluded.add(item);
+		}).done(function() {
+			setA.emit(function(item) {
+				if (!excluded.has(item))
+					return emit(item);
+			}).done(function() {
+				resolve();
+			}).catch(function(err) {
+				reject(err);
+			});
+			
+			setA.resume();
+		}).catch(function(err) {
+			reject(err);
+		});
+	}));
+}
+
+/**
+ * Intersects the given set of generators, using the given "hasher" function
+ * to produce an ID string for each object. This approach is much more efficient than intersecting
+ * by comparison (intersectByComparison()), so this should be used instead whenever possible.
+ * Efficiency: O(n)
+ * 
+ * Membership is tracked per generator, so an item is emitted as many times as it occurs 
+ * in every one of the generators (once, for generators without duplicates). An item
+ * which one generator emits twice does not satisfy the intersection on its own.
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} generators
+ * @param {type} hasher
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.intersectByHash = function(generators, hasher, options) {
+	return Generator._intersect('intersectByHash', generators, Generator._lookup(hasher), options);
+}
+
+/**
+ * Intersects the given set of generators, using the given "comparator" function
+ * to determine if two objects are equal. This form of intersect operation can be much 
+ * less efficient than intersection by hash (intersectByHash). Efficiency n^2
+ * 
+ * Membership is tracked per generator, as with intersectByHash().
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} generators
+ * @param {type} comparator
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.intersectByComparison = function(generators, comparator, options) {
+	return Generator._intersect('intersectByComparison', generators, Generator._lookup(null, comparator), options);
+}
+
+/**
+ * Intersects the given set of generators. Pass a comparator function to decide which
+ * items are equal, or { hasher: fn } to compare the ID strings the hasher produces;
+ * otherwise items are compared by identity (===). See intersectByHash().
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} generators
+ * @param {function|object} comparator
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.intersection = function(generators, comparator, options) {
+	var hasher = null;
+	
+	if (comparator && typeof comparator === 'object') {
+		hasher = comparator.hasher || null;
+		comparator = comparator.comparator;
+	}
+	
+	return Generator._intersect('intersection', generators, Generator._lookup(hasher, comparator), options);
+}
+
+/**
+ * Shared implementation of the intersections. For every distinct item the lookup 
+ * holds how many times each generator has emitted it and how many times it has been
+ * emitted from the intersection; it is emitted again whenever every generator has 
+ * emitted it once more.
+ */
+Generator._intersect = function(name, generators, lookup, options) {
+	return Generator._withDeadline(Generator._linkCancellation(generators, new Generator(function(resolve, reject, emit) {
 		var handlers = [];
 		
-		for (var i = 0, max = generators.length; i < max; ++i) {
-			var generator = generators[i];
+		var handleEmit = function(index, item) {
+			var entry = lookup.get(item);
+			
+			if (!entry) {
+				entry = { counts: [], emitted: 0 };
+				for (var i = 0, max = generators.length; i < max; ++i)
+					entry.counts.push(0);
+				lookup.set(item, entry);
+			}
+			
+			entry.counts[index] += 1;
+			
+			if (Math.min.apply(null, entry.counts) > entry.emitted) {
+				entry.emitted += 1;
+				emit(item);
+			}
+		};
+		
+		var listen = function(index, generator) {
+			if (generator.emit) {
+				handlers.push(new Promise(function(resolve, reject) {
+					generator.emit(function(item) {
+						handleEmit(index, item);
+					}).done(function() {
+						resolve();
+					}).catch(function(err) {
+						reject(err);
+					});
+				}));
+				return;
+			}
+			
+			Generator._deprecate('Passing promises to Generator.'+name+'() is deprecated. Please wrap it in a Generator first.');
+			
+			handlers.push(generator.then(function(items) {
+				for (var j = 0, jMax = items.length; j < jMax; ++j) {
+					handleEmit(index, items[j]);
+				}
+			}));
+		};
+		
+		for (var i = 0, max = generators.length; i < max; ++i) {
+			listen(i, generators[i]);
+		}
+		
+		Promise.all(handlers).then(function() {
+			resolve();
+		}, function(err) {
+			reject(err);
+		});
+	})), options);
+};
+
+/**
+ * Return items which occur in setA but not in setB. This is exclude() under 
+ * its set algebra name; see exclude() for the arguments.
+ * 
+ * @param {type} setA
+ * @param {type} setB
+ * @param {function|object} comparator
+ * @returns {Generator}
+ */
+Generator.difference = function(setA, setB, comparator) {
+	return Generator.exclude(setA, setB, comparator);
+};
+
+/**
+ * Return items which occur in exactly one of setA and setB: first those of setA
+ * which are not in setB, then those of setB which are not in setA. Both sets are 
+ * buffered, since nothing can be decided until both have completed. Equality works 
+ * as with exclude(): strict equals, a comparator, or { hasher: fn }.
+ * 
+ * @param {type} setA
+ * @param {type} setB
+ * @param {function|object} comparator
+ * @returns {Generator}
+ */
+Generator.symmetricDifference = function(setA, setB, comparator) {
+	var hasher = null;
+	
+	if (comparator && typeof comparator === 'object') {
+		hasher = comparator.hasher || null;
+		comparator = comparator.comparator;
+	}
+	
+	setA = Generator._toSource(setA);
+	setB = Generator._toSource(setB);
+	
+	return Generator._linkCancellation([setA, setB], new Generator(function(resolve, reject, emit) {
+		var itemsA = [];
+		var itemsB = [];
+		var lookupA = Generator._lookup(hasher, comparator);
+		var lookupB = Generator._lookup(hasher, comparator);
+		
+		var collect = function(set, items, lookup) {
+			return new Promise(function(resolve, reject) {
+				set.emit(function(item) {
+					items.push(item);
+					lookup.add(item);
+				}).done(function() {
+					resolve();
+				}).catch(function(err) {
+					reject(err);
+				});
+			});
+		};
+		
+		Promise.all([
+			collect(setA, itemsA, lookupA),
+			collect(setB, itemsB, lookupB)
+		]).then(function() {
+			for (var i = 0, max = itemsA.length; i < max; ++i) {
+				if (!lookupB.has(itemsA[i]))
+					emit(itemsA[i]);
+			}
+			
+			for (var i = 0, max = itemsB.length; i < max; ++i) {
+				if (!lookupA.has(itemsB[i]))
+					emit(itemsB[i]);
+			}
+			
+			resolve();
+		}, function(err) {
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Emit all items of the first source, then all items of the second source, and so on.
+ * Sources may be Generators or anything Generator.from() accepts (Promises must provide
+ * an array). Sources which are not Generators yet, such as producer functions, are only 
+ * started once their turn comes; Generators which are passed in are paused until then,
+ * so none of their items are lost. If a source is rejected, so is the concatenation.
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} sources
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.concat = function(sources, options) {
+	sources = sources.slice();
+	
+	for (var i = 0, max = sources.length; i < max; ++i) {
+		if (sources[i] instanceof Generator)
+			sources[i].pause();
+	}
+	
+	var generator = Generator._linkCancellation(sources, new Generator(function(done, reject, emit, onCancel) {
+		var index = 0;
+		var current = null;
+		
+		onCancel(function() {
+			if (current)
+				current.cancel();
+		});
+		
+		var next = function() {
+			if (index >= sources.length) {
+				done();
+				return;
+			}
+			
+			try {
+				current = Generator._toSource(sources[index++]);
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			
+			current.emit(function(item) {
+				return emit(item);
+			}).done(next).catch(function(err) {
+				reject(err);
+			}).cancelled(function() {
+				generator.cancel();
+			}).resume();
+		};
+		
+		next();
+	}));
+	
+	return Generator._withDeadline(generator, options);
+};
+
+/**
+ * Emit arrays of the items the sources emitted at the same position: the first 
+ * items of each, then the second items of each, and so on. Completes as soon as 
+ * the shortest source has completed, cancelling the others. Sources which get 
+ * ahead of the others are held back via backpressure.
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} sources
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.zip = function(sources, options) {
+	sources = Generator._toSources(sources);
+	
+	return Generator._withDeadline(Generator._linkCancellation(sources, new Generator(function(done, reject, emit) {
+		var queues = [];
+		var ended = [];
+		var finished = false;
+		
+		if (sources.length == 0) {
+			done();
+			return;
+		}
+		
+		var finish = function() {
+			finished = true;
+			done();
+			
+			for (var i = 0, max = sources.length; i < max; ++i) {
+				sources[i].cancel();
+			}
+		};
+		
+		var flush = function() {
+			for (var i = 0, max = queues.length; i < max; ++i) {
+				if (queues[i].length == 0)
+					return;
+			}
+			
+			var tuple = [];
+			
+			for (var i = 0, max = queues.length; i < max; ++i) {
+				var entry = queues[i].shift();
+				tuple.push(entry.item);
+				entry.release();
+			}
+			
+			emit(tuple);
+			
+			// A source which completed while its last item was waiting to be 
+			// paired up ends the zip now that the item has been used
+			
+			for (var i = 0, max = queues.length; i < max; ++i) {
+				if (ended[i] && queues[i].length == 0)
+					return finish();
+			}
+		};
+		
+		var listen = function(index, source) {
+			var queue = queues[index] = [];
+			ended[index] = false;
+			
+			source.emit(function(item) {
+				if (finished)
+					return;
+				
+				return new Promise(function(resolve) {
+					queue.push({ item: item, release: resolve });
+					flush();
+				});
+			}).done(function() {
+				ended[index] = true;
+				if (!finished && queue.length == 0)
+					finish();
+			}).catch(function(err) {
+				reject(err);
+			});
+		};
+		
+		for (var i = 0, max = sources.length; i < max; ++i) {
+			listen(i, sources[i]);
+		}
+	})), options);
+};
+
+/**
+ * Mirror whichever source emits (or completes) first, cancelling all of the others.
+ * If a source is rejected before then, so is the race. Cancelling the race cancels 
+ * all of the sources; cancelling the winner cancels the race.
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} sources
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.race = function(sources, options) {
+	sources = Generator._toSources(sources);
+	
+	var cancelAll = function() {
+		for (var i = 0, max = sources.length; i < max; ++i) {
+			sources[i].cancel();
+		}
+	};
+	
+	// Losing sources are cancelled on purpose, so cancellation is only linked 
+	// from the race to its sources (not the other way, see _linkCancellation())
+	
+	var generator = new Generator(function(done, reject, emit) {
+		var winner = null;
+		var losers = 0;
+		
+		if (sources.length == 0) {
+			done();
+			return;
+		}
+		
+		var win = function(source) {
+			if (winner)
+				return winner === source;
+			
+			winner = source;
+			
+			for (var i = 0, max = sources.length; i < max; ++i) {
+				if (sources[i] !== source)
+					sources[i].cancel();
+			}
+			
+			return true;
+		};
+		
+		var listen = function(source) {
+			source.emit(function(item) {
+				if (win(source))
+					return emit(item);
+			}).done(function() {
+				if (win(source))
+					done();
+			}).catch(function(err) {
+				if (!winner || winner === source)
+					reject(err);
+			}).cancelled(function() {
+				if (winner === source || (!winner && ++losers == sources.length))
+					generator.cancel();
+			});
+		};
+		
+		for (var i = 0, max = sources.length; i < max; ++i) {
+			listen(sources[i]);
+		}
+	});
+	
+	Generator._link(generator, sources);
+	generator.cancelled(cancelAll).catch(cancelAll);
+	
+	return Generator._withDeadline(generator, options);
+};
+
+/**
+ * Once every source has emitted at least once, emit an array of the latest item of
+ * each source whenever any of them emits. Completes when all of the sources have 
+ * completed, or right away if a source completes without ever emitting.
+ * 
+ * Accepts the `deadline` option, like union().
+ * 
+ * @param {Array} sources
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.combineLatest = function(sources, options) {
+	sources = Generator._toSources(sources);
+	
+	return Generator._withDeadline(Generator._linkCancellation(sources, new Generator(function(done, reject, emit) {
+		var latest = [];
+		var seen = [];
+		var remaining = sources.length;
+		var waiting = sources.length;
+		var finished = false;
+		
+		if (sources.length == 0) {
+			done();
+			return;
+		}
+		
+		// A source which completes without emitting means nothing can be 
+		// emitted any more, so the others are cancelled
+		
+		var finish = function() {
+			if (finished)
+				return;
+			finished = true;
+			done();
+			
+			for (var i = 0, max = sources.length; i < max; ++i) {
+				sources[i].cancel();
+			}
+		};
+		
+		var listen = function(index, source) {
+			seen[index] = false;
+			
+			source.emit(function(item) {
+				if (finished)
+					return;
+				
+				latest[index] = item;
+				
+				if (!seen[index]) {
+					seen[index] = true;
+					--waiting;
+				}
+				
+				if (waiting == 0)
+					return emit(latest.slice());
+			}).done(function() {
+				if (!seen[index] || --remaining == 0)
+					finish();
+			}).catch(function(err) {
+				reject(err);
+			});
+		};
+		
+		for (var i = 0, max = sources.length; i < max; ++i) {
+			listen(i, sources[i]);
+		}
+	})), options);
+};
+
+/**
+ * Emit the items of the source returned by `factory`, calling it again for a new source
+ * when the current one is rejected. The factory is given a cursor describing what has 
+ * been emitted so far, so that it can resume where the failed source left off instead 
+ * of repeating items: `{ attempt, count, last }`, where `attempt` starts at 1, `count` is 
+ * the number of items emitted so far (over all attempts) and `last` is the last of them.
+ * The factory may return anything Generator.concat() accepts as a source. Once all 
+ * attempts are used up, or `shouldRetry` returns false, the generator is rejected with 
+ * the last error.
+ * 
+ * Options:
+ * - attempts: The maximum number of sources to try (default 3)
+ * - backoff: Milliseconds to wait before retrying, or a function(attempt, error) 
+ *   returning them (default 0)
+ * - shouldRetry: function(error, attempt) deciding whether to retry (default: always)
+ * 
+ * @param function(cursor) factory
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.retry = function(factory, options) {
+	options = options || {};
+	
+	var attempts = options.attempts || 3;
+	var backoff = options.backoff || 0;
+	var shouldRetry = options.shouldRetry || function() { return true; };
+	
+	var generator = new Generator(function(done, reject, emit, onCancel) {
+		var cursor = { attempt: 0, count: 0, last: undefined };
+		var current = null;
+		var timer = null;
+		var finished = false;
+		
+		onCancel(function() {
+			finished = true;
+			
+			if (timer !== null)
+				clearTimeout(timer);
+			if (current)
+				current.cancel();
+		});
+		
+		var failed = function(err) {
+			if (finished)
+				return;
+			
+			current = null;
+			
+			var retry;
+			
+			try {
+				retry = cursor.attempt < attempts && shouldRetry(err, cursor.attempt);
+			} catch (e) {
+				err = e;
+				retry = false;
+			}
+			
+			if (!retry) {
+				finished = true;
+				reject(err);
+				return;
+			}
+			
+			var delay;
+			
+			try {
+				delay = typeof backoff === 'function' ? backoff(cursor.attempt, err) : backoff;
+			} catch (e) {
+				finished = true;
+				reject(e);
+				return;
+			}
+			
+			timer = setTimeout(function() {
+				timer = null;
+				attempt();
+			}, delay || 0);
+		};
+		
+		var attempt = function() {
+			if (finished)
+				return;
+			
+			++cursor.attempt;
+			
+			var source;
+			
+			try {
+				source = Generator._toSource(factory({
+					attempt: cursor.attempt,
+					count: cursor.count,
+					last: cursor.last
+				}));
+			} catch (e) {
+				failed(e);
+				return;
+			}
+			
+			current = source;
+			
+			source.emit(function(item) {
+				if (finished || current !== source)
+					return;
+				
+				++cursor.count;
+				cursor.last = item;
+				return emit(item);
+			}).done(function() {
+				if (finished || current !== source)
+					return;
+				finished = true;
+				done();
+			}).catch(function(err) {
+				if (current === source)
+					failed(err);
+			}).cancelled(function() {
+				if (!finished && current === source)
+					generator.cancel();
+			});
+		};
+		
+		attempt();
+	});
+	
+	return generator;
+};
+
+/**
+ * Create a lazy generator which calls `factory` for its source on the first emit or 
+ * done subscription (see the `lazy` option), and emits that source's items. The factory
+ * may return anything Generator.concat() accepts as a source. Cancelling the generator
+ * cancels the source.
+ * 
+ * @param function() factory
+ * @returns {Generator}
+ */
+Generator.defer = function(factory) {
+	var generator = new Generator(function(done, reject, emit, onCancel) {
+		var source;
+		
+		try {
+			source = Generator._toSource(factory());
+		} catch (e) {
+			reject(e);
+			return;
+		}
+		
+		onCancel(function() {
+			source.cancel();
+		});
+		
+		source.emit(function(item) {
+			return emit(item);
+		}).done(function() {
+			done();
+		}).catch(function(err) {
+			reject(err);
+		}).cancelled(function() {
+			generator.cancel();
+		});
+	}, { lazy: true });
+	
+	return generator;
+};
+
+/**
+ * Create a channel: a Generator along with functions to feed it from outside of a
+ * producer. Returns `{ generator, push, end, error }`:
+ * 
+ * - push(item): Queue an item. Returns a Promise which resolves to true once the item 
+ *   is queued, or to false if it was dropped (including after end(), error() or 
+ *   cancellation).
+ * - end(): Complete the generator once the queued items have been delivered.
+ * - error(err): Reject the generator once the queued items have been delivered.
+ * 
+ * The generator is lazy (see the `lazy` option), so items pushed before anyone 
+ * subscribes are kept in the queue rather than lost. At most `bufferSize` items are 
+ * queued; what happens to further items depends on the `overflow` option:
+ * 
+ * - 'block': push() waits until there is room for the item (the default)
+ * - 'drop-oldest': the oldest queued item is dropped to make room
+ * - 'drop-newest': the pushed item is dropped
+ * - 'error': push() rejects with Generator.ChannelOverflowError and the item is dropped
+ * 
+ * Options:
+ * - bufferSize: The maximum number of queued items (default 16)
+ * - overflow: The overflow policy (default 'block')
+ * 
+ * @param {object} options
+ * @returns {object}
+ */
+Generator.channel = function(options) {
+	options = options || {};
+	
+	var bufferSize = options.bufferSize || 16;
+	var overflow = options.overflow || 'block';
+	
+	var queue = [];
+	var blocked = [];
+	var ending = null;
+	var closed = false;
+	var started = false;
+	var pumping = false;
+	var producer = null;
+	
+	var close = function() {
+		closed = true;
+		queue = [];
+		
+		var waiting = blocked;
+		blocked = [];
+		
+		for (var i = 0, max = waiting.length; i < max; ++i) {
+			waiting[i].resolve(false);
+		}
+	};
+	
+	var pump = function() {
+		if (!started || closed) {
+			pumping = false;
+			return;
+		}
+		
+		if (queue.length == 0) {
+			pumping = false;
+			
+			if (ending) {
+				closed = true;
+				ending();
+			}
+			return;
+		}
+		
+		pumping = true;
+		
+		var item = queue.shift();
+		
+		if (blocked.length > 0) {
+			var unblocked = blocked.shift();
+			queue.push(unblocked.item);
+			unblocked.resolve(true);
+		}
+		
+		producer.emit(item).then(pump);
+	};
+	
+	var generator = new Generator(function(done, reject, emit) {
+		producer = { done: done, reject: reject, emit: emit };
+		started = true;
+		pump();
+	}, { lazy: true });
+	
+	// Not an onCancel() hook, as the producer does not run if the generator 
+	// is cancelled before anyone subscribes
+	generator.cancelled(close);
+	
+	var finish = function(settle) {
+		if (closed || ending)
+			return;
+		
+		ending = settle;
+		
+		if (!pumping)
+			pump();
+	};
+	
+	var push = function(item) {
+		if (closed || ending)
+			return Promise.resolve(false);
+		
+		if (queue.length < bufferSize) {
+			queue.push(item);
+			
+			if (!pumping)
+				pump();
+			return Promise.resolve(true);
+		}
+		
+		if (overflow == 'drop-oldest') {
+			queue.shift();
+			queue.push(item);
+			return Promise.resolve(true);
+		}
+		
+		if (overflow == 'drop-newest')
+			return Promise.resolve(false);
+		
+		if (overflow == 'error')
+			return Promise.reject(new Generator.ChannelOverflowError());
+		
+		return new Promise(function(resolve) {
+			blocked.push({ item: item, resolve: resolve });
+		});
+	};
+	
+	return {
+		generator: generator,
+		push: push,
+		end: function() {
+			finish(function() {
+				producer.done();
+			});
+		},
+		error: function(err) {
+			finish(function() {
+				producer.reject(err);
+			});
+		}
+	};
+};
+
+/**
+ * Emit the items of a paginated API. `fetchPage(cursor)` is called with `initialCursor`
+ * first, and must return a Promise for (or simply return) a page of the form 
+ * `{ items: [...], nextCursor: ... }`. The next page is only fetched once all items 
+ * of the current one have been delivered, so pages are fetched as fast as they are 
+ * consumed, and the generator completes after a page without a `nextCursor` (null or
+ * undefined). The generator is lazy (see the `lazy` option), so the first page is only
+ * fetched once someone subscribes. A failing page rejects the generator; cancelling 
+ * it stops fetching.
+ * 
+ * Options:
+ * - initialCursor: The cursor passed for the first page (default undefined)
+ * 
+ * @param function(cursor) fetchPage
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.paginate = function(fetchPage, options) {
+	options = options || {};
+	
+	return new Generator(function(done, reject, emit, onCancel) {
+		var cancelled = false;
+		
+		onCancel(function() {
+			cancelled = true;
+		});
+		
+		var fetch = function(cursor) {
+			if (cancelled)
+				return;
+			
+			var page;
+			
+			try {
+				page = fetchPage(cursor);
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			
+			Promise.resolve(page).then(function(page) {
+				if (cancelled)
+					return;
+				
+				var items = page && page.items || [];
+				var nextCursor = page ? page.nextCursor : null;
+				var index = 0;
+				
+				var next = function() {
+					if (cancelled)
+						return;
+					
+					if (index < items.length) {
+						emit(items[index++]).then(next);
+						return;
+					}
+					
+					if (nextCursor === null || nextCursor === undefined)
+						done();
+					else
+						fetch(nextCursor);
+				};
+				
+				next();
+			}, function(err) {
+				reject(err);
+			});
+		};
+		
+		fetch(options.initialCursor);
+	}, { lazy: true });
+};
+
+// Instance methods
+
+/**
+ * Register a callback for the emit event, when the generator
+ * emits an item.
+ * 
+ * You may also omit the callback and be returned a promise.
+ * This promise will resolve when the next item is emitted from the 
+ * Generator, but will not be resolved again, because promises only
+ * resolve once.
+ * 
+ * To instead have a recurring handler, you must pass a callback.
+ * 
+ * Items emitted before the callback was registered are not delivered to it,
+ * unless the generator was created with the `replay` option.
+ * 
+ * @param {type} cb
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.emit = function(cb) {
+	if (!cb) {
+		var self = this;
+		return new Promise(function(resolve, reject) {
+			var handler;
+			self.emit(handler = function(item) {
+				resolve(item);
+				
+			});
+		});
+	}
+	
+	Generator._trace('listen', this, 'emit');
+	
+	if (!this._replay && (this.state == Generator.COMPLETED || this.state == Generator.REJECTED))
+		Generator._misuse(this, 'listen-after-settle', 'An emit listener was registered after the generator had settled, so it will never be called');
+	
+	if (this._replay) {
+		var self = this;
+		self._pendingReplays.push(cb);
+		self._schedule();
+		self._begin();
+		return this;
+	}
+	
+	this._registeredEmits.push(cb);
+	this._begin();
+	return this;
+};
+
+/**
+ * Run the producer of a lazy generator, if it has not been started yet.
+ */
+Generator.prototype._begin = function() {
+	if (this._start)
+		this._start();
+};
+
+/**
+ * Deliver the buffered items to emit listeners which were registered on a 
+ * replaying generator, and start delivering new items to them. This is done
+ * before any other event is dispatched so that replayed items always arrive
+ * in order and before done.
+ * 
+ * As with other emit listeners, an exception (or a rejected Promise) rejects the
+ * generator, and new items wait until the Promises they return have resolved.
+ * The buffered items themselves are replayed all at once.
+ */
+Generator.prototype._flushReplays = function() {
+	var self = this;
+	var replays = self._pendingReplays;
+	var busy = [];
+	
+	self._pendingReplays = [];
+	
+	var fail = function(err) {
+		if (self.state == Generator.PENDING)
+			self._fail(err);
+		else
+			Generator._warn('An emit listener failed while items were replayed after the generator had settled: '+err);
+	};
+	
+	for (var i = 0, max = replays.length; i < max; ++i) {
+		for (var j = 0, jMax = self._buffer.length; j < jMax; ++j) {
+			var result;
+			
+			try {
+				result = replays[i].apply(null, self._buffer[j]);
+			} catch (e) {
+				fail(e);
+				return;
+			}
+			
+			if (result && typeof result.then === 'function')
+				busy.push(result);
+		}
+		self._registeredEmits.push(replays[i]);
+	}
+	
+	if (busy.length == 0)
+		return;
+	
+	var release = function() {
+		--self._waiting;
+		self._schedule();
+	};
+	
+	++self._waiting;
+	Promise.all(busy).then(release, function(err) {
+		fail(err);
+		release();
+	});
+};
+
+/**
+ * Stop delivering items to emit listeners until resume() is called. Items emitted
+ * by the producer in the meantime are queued, and producers waiting on the Promise 
+ * returned by emit() will wait until the generator is resumed.
+ * 
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.pause = function() {
+	this._paused = true;
+	return this;
+};
+
+/**
+ * Resume delivering items after pause() was called.
+ * 
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.resume = function() {
+	this._paused = false;
+	this._schedule();
+	return this;
+};
+
+/**
+ * Returns true if the generator was paused with pause().
+ * 
+ * @returns {boolean}
+ */
+Generator.prototype.isPaused = function() {
+	return this._paused;
+};
+
+/**
+ * Set the name shown for this generator by tracers (see Generator.setTracer()).
+ * 
+ * @param {string} name
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.named = function(name) {
+	this.name = name;
+	return this;
+};
+
+/**
+ * Returns the generators this generator was created from, if it was created by an 
+ * operator or a combinator.
+ * 
+ * @returns {Array}
+ */
+Generator.prototype.sources = function() {
+	return this._sources.slice();
+};
+
+/**
+ * Returns counters for this generator: the number of items `emitted` (delivered to
+ * the emit listeners) so far, the milliseconds from creation until the first item was 
+ * delivered (`timeToFirstItem`, null until then), and the `duration` in milliseconds 
+ * from creation until the generator settled (or until now, if it has not).
+ * 
+ * @returns {object}
+ */
+Generator.prototype.stats = function() {
+	return {
+		emitted: this._emitted,
+		timeToFirstItem: this._firstItemAt === null ? null : this._firstItemAt - this._createdAt,
+		duration: (this._settledAt === null ? Date.now() : this._settledAt) - this._createdAt
+	};
+};
+
+/**
+ * Cancel the generator. Items which have not been delivered yet are dropped, the
+ * producer's onCancel() hooks are run, and the cancelled listeners are called.
+ * Has no effect once the generator has completed, been rejected or been cancelled.
+ * 
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.cancel = function() {
+	if (this._settled)
+		return this;
+	
+	var self = this;
+	var queue = self._queue;
+	var head = self._head;
+	var hooks = self._cancelHooks;
+	
+	self._settled = true;
+	self.state = Generator.CANCELLED;
+	self._settledAt = Date.now();
+	self._queue = [];
+	self._head = 0;
+	self._pendingReplays = [];
+	self._release();
+	Generator._trace('cancel', self);
+	
+	for (var i = head, max = queue.length; i < max; ++i) {
+		if (queue[i].delivered)
+			queue[i].delivered();
+	}
+	
+	for (var i = 0, max = hooks.length; i < max; ++i) {
+		hooks[i]();
+	}
+	
+	self._scheduler(function() {
+		Generator._callback(self._registeredCancels, []);
+	});
+	
+	return this;
+};
+
+/**
+ * Register a callback for the cancelled event, when the generator is cancelled.
+ * A cancelled generator never calls its done or catch listeners, so this is the
+ * only signal that it has stopped.
+ * 
+ * If the generator has already been cancelled, the callback is called right away.
+ * 
+ * @param {type} cb
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.cancelled = function(cb) {
+	Generator._trace('listen', this, 'cancelled');
+	
+	if (this.state == Generator.CANCELLED) {
+		this._scheduler(function() {
+			cb();
+		});
+		return this;
+	}
+	
+	this._registeredCancels.push(cb);
+	return this;
+};
+
+Generator.prototype.deregister = function(event, cb) {
+	var map = {
+		emit: this._registeredEmits,
+		catch: this._registeredCatches,
+		done: this._registeredDones,
+		cancelled: this._registeredCancels
+	};
+	
+	if (map[event].indexOf(cb) >= 0)
+		map[event].splice(map[event].indexOf(cb), 1);
+	
+	if (event == 'emit' && this._pendingReplays.indexOf(cb) >= 0)
+		this._pendingReplays.splice(this._pendingReplays.indexOf(cb), 1);
+};
+
+/**
+ * Register a callback for the catch event, when the generator encounters
+ * an exception or error.
+ * 
+ * You may also omit the callback and be returned a promise.
+ * This promise will either resolve to an error or never resolve.
+ * The promise will never reject.
+ * 
+ * If the generator has already been rejected, the callback is called right away.
+ * 
+ * @param {type} cb
+ * @returns {Generator.prototype}
+ */
+Generator.prototype.catch = function(cb) {
+	if (!cb) {
+		var self = this;
+		return new Promise(function(resolve) {
+			self.catch(function(err) {
+				resolve(err);
+			});
+		});
+	}
+	
+	Generator._trace('listen', this, 'catch');
+	
+	if (this.state == Generator.REJECTED) {
+		var error = this._error;
+		this._scheduler(function() {
+			cb(error);
+		});
+		return this;
+	}
+	
+	this._registeredCatches.push(cb);
+	return this;
+};
+
+/**
+ * Pass a callback function or pass no arguments to receive
+ * a Promise for completion of the generator. The Promise rejects
+ * with Generator.CancelledError if the generator is cancelled.
+ * 
+ * If the generator has already completed, the callback is called right away.
+ * 
+ * @param {type} cb
+ * @returns {Promise|Generator.prototype}
+ */
+Generator.prototype.done = function(cb) {
+	
+	if (!cb) {
+		var self = this;
+		return new Promise(function(resolve, reject) {
+			self.done(function() {
+				resolve();
+			}).catch(function(err) {
+				reject(err);
+			}).cancelled(function() {
+				reject(new Generator.CancelledError());
+			});
+		});
+	}
+	
+	Generator._trace('listen', this, 'done');
+	
+	if (this.state == Generator.COMPLETED) {
+		this._scheduler(function() {
+			cb();
+		});
+		return this;
+	}
+	
+	this._registeredDones.push(cb);
+	this._begin();
+	return this;
+};
+
+/**
+ * To blend nicely with Promises, Generators can start an actual Promise chain.
+ * NOTE that this will cause the Generator to store an array of all results emitted 
+ * between the registration of this function and when the generator complets (.done()).
+ * 
+ * This will cause O(N) memory usage instead of O(1), so only use this if you don't 
+ * mind storing all generator results into an array (very very bad idea for an 
+ * infinite set for example).
+ * 
+ * The returned Promise rejects if the generator is rejected or cancelled, and like 
+ * Promise.then() you may pass a second callback to handle that. Since Generators are
+ * thenable, they can also be passed to Promise.resolve() or Promise.all() directly.
+ * 
+ * @param {type} cb
+ * @param {type} errCb
+ * @returns {Promise}
+ */
+Generator.prototype.then = function(cb, errCb) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		var items = [];
+		
+		self.emit(function(item) {
+			items.push(item);
+			
+			if (Generator._strict && items.length == Generator._strict.thenLimit)
+				Generator._misuse(self, 'then-buffer', 'then() has buffered '+items.length+' items; use emit() or reduce() for large or infinite generators');
+		}).done(function() {
+			resolve(items);
+		}).catch(function(err) {
+			reject(err);
+		}).cancelled(function() {
+			reject(new Generator.CancelledError());
+		});
+	}).then(cb, errCb);
+};
+
+/**
+ * Get an async iterator over the items emitted from now on, for use with for-await.
+ * At most `bufferSize` items (default 16) are held while waiting for the iterator
+ * to be read; after that the generator is held back via backpressure. Leaving the 
+ * loop early (break, return or throw) cancels the generator. If the generator is
+ * rejected or cancelled, the iterator throws the error or Generator.CancelledError.
+ * 
+ * Generators also implement Symbol.asyncIterator, so you may simply write:
+ * 
+ *     for await (var item of generator) { ... }
+ * 
+ * Options:
+ * - bufferSize: Number of items to hold while the iterator is not being read
+ * 
+ * @param {object} options
+ * @returns {object}
+ */
+Generator.prototype.iterator = function(options) {
+	var self = this;
+	var bufferSize = (options && options.bufferSize) || 16;
+	var buffer = [];
+	var readers = [];
+	var blocked = null;
+	var ended = null;
+	var finished = false;
+	
+	var settle = function() {
+		while (readers.length > 0 && buffer.length > 0) {
+			readers.shift().resolve({ value: buffer.shift(), done: false });
+		}
+		
+		if (blocked && buffer.length < bufferSize) {
+			var unblock = blocked;
+			blocked = null;
+			unblock();
+		}
+		
+		if (!ended || buffer.length > 0)
+			return;
+		
+		while (readers.length > 0) {
+			var reader = readers.shift();
+			
+			if (ended.failed) {
+				var error = ended.error;
+				ended = { failed: false };
+				reader.reject(error);
+				continue;
+			}
+			
+			reader.resolve({ value: undefined, done: true });
+		}
+	};
+	
+	var end = function(failed, error) {
+		if (finished)
+			return;
+		finished = true;
+		ended = { failed: failed, error: error };
+		settle();
+	};
+	
+	self.emit(function(item) {
+		if (finished)
+			return;
+		
+		buffer.push(item);
+		settle();
+		
+		if (buffer.length >= bufferSize) {
+			return new Promise(function(resolve) {
+				blocked = resolve;
+			});
+		}
+	}).done(function() {
+		end(false);
+	}).catch(function(err) {
+		end(true, err);
+	}).cancelled(function() {
+		end(true, new Generator.CancelledError());
+	});
+	
+	var iterator = {
+		next: function() {
+			return new Promise(function(resolve, reject) {
+				readers.push({ resolve: resolve, reject: reject });
+				settle();
+			});
+		},
+		
+		return: function(value) {
+			if (!finished) {
+				finished = true;
+				ended = { failed: false };
+				buffer = [];
+				settle();
+				self.cancel();
+			}
+			
+			return Promise.resolve({ value: value, done: true });
+		}
+	};
+	
+	if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+		iterator[Symbol.asyncIterator] = function() {
+			return iterator;
+		};
+	}
+	
+	return iterator;
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+	Generator.prototype[Symbol.asyncIterator] = function() {
+		return this.iterator();
+	};
+}
+
+// Operators
+
+/**
+ * Create a generator which emits the result of passing each item of this 
+ * generator through the given function. If the function throws, the resulting 
+ * generator is rejected with the exception.
+ * 
+ * @param function(item) fn
+ * @returns {Generator}
+ */
+Generator.prototype.map = function(fn) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		self.emit(function(item, cancel) {
+			var result;
+			
+			try {
+				result = fn(item);
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			
+			return emit(result, cancel);
+		}).done(function() {
+			done();
+		}).catch(function(err) {
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits only the items of this generator for which 
+ * the given predicate returns a truthy value.
+ * 
+ * @param function(item) predicate
+ * @returns {Generator}
+ */
+Generator.prototype.filter = function(predicate) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		self.emit(function(item, cancel) {
+			var pass;
+			
+			try {
+				pass = predicate(item);
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			
+			if (pass)
+				return emit(item, cancel);
+		}).done(function() {
+			done();
+		}).catch(function(err) {
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits only the first `count` items of this generator
+ * and then completes. Once enough items have been seen, the upstream generator
+ * is cancelled (if it provided a cancel function with its items).
+ * 
+ * @param {number} count
+ * @returns {Generator}
+ */
+Generator.prototype.take = function(count) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		var taken = 0;
+		var finished = false;
+		
+		if (count <= 0) {
+			finished = true;
+			done();
+			return;
+		}
+		
+		self.emit(function(item, cancel) {
+			if (finished)
+				return;
+			
+			var delivered = emit(item, cancel);
+			
+			if (++taken >= count) {
+				finished = true;
+				done();
+				if (cancel)
+					cancel();
+			}
+			
+			return delivered;
+		}).done(function() {
+			if (finished)
+				return;
+			finished = true;
+			done();
+		}).catch(function(err) {
+			if (finished)
+				return;
+			finished = true;
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits the items of this generator for as long as 
+ * the given predicate returns a truthy value. The first item which fails the 
+ * predicate is not emitted, the upstream generator is cancelled and the 
+ * resulting generator completes.
+ * 
+ * @param function(item) predicate
+ * @returns {Generator}
+ */
+Generator.prototype.takeWhile = function(predicate) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		var finished = false;
+		
+		self.emit(function(item, cancel) {
+			if (finished)
+				return;
+			
+			var pass;
+			
+			try {
+				pass = predicate(item);
+			} catch (e) {
+				finished = true;
+				reject(e);
+				return;
+			}
+			
+			if (pass)
+				return emit(item, cancel);
+			
+			finished = true;
+			done();
+			if (cancel)
+				cancel();
+		}).done(function() {
+			if (finished)
+				return;
+			finished = true;
+			done();
+		}).catch(function(err) {
+			if (finished)
+				return;
+			finished = true;
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which ignores the first `count` items of this generator
+ * and emits the rest.
+ * 
+ * @param {number} count
+ * @returns {Generator}
+ */
+Generator.prototype.skip = function(count) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		var skipped = 0;
+		
+		self.emit(function(item, cancel) {
+			if (skipped < count) {
+				++skipped;
+				return;
+			}
+			
+			return emit(item, cancel);
+		}).done(function() {
+			done();
+		}).catch(function(err) {
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which passes each item of this generator through the given 
+ * function and emits every item of the result. The function may return a Generator 
+ * or anything the Generator constructor accepts (an array, a Promise, an ES6 generator).
+ * The resulting generator completes once this generator and all of the generators 
+ * produced from its items have completed.
+ * 
+ * @param function(item) fn
+ * @returns {Generator}
+ */
+Generator.prototype.flatMap = function(fn) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var inners = [];
+		var upstreamDone = false;
+		var finished = false;
+		
+		var cancelInners = function() {
+			var pending = inners.slice();
+			
+			for (var i = 0, max = pending.length; i < max; ++i) {
+				pending[i].cancel();
+			}
+		};
+		
+		onCancel(cancelInners);
+		
+		// onCancel() hooks don't run when the generator is rejected, 
+		// so the other inner generators are cancelled here
+		
+		var fail = function(err) {
+			if (finished)
+				return;
+			finished = true;
+			reject(err);
+			cancelInners();
+		};
+		
+		var checkDone = function() {
+			if (finished || !upstreamDone || inners.length > 0)
+				return;
+			finished = true;
+			done();
+		};
+		
+		self.emit(function(item, cancel) {
+			if (finished)
+				return;
+			
+			var inner;
+			
+			try {
+				inner = fn(item);
+				if (!(inner instanceof Generator))
+					inner = new Generator(inner);
+			} catch (e) {
+				fail(e);
+				return;
+			}
+			
+			var finishInner = function() {
+				if (inners.indexOf(inner) >= 0)
+					inners.splice(inners.indexOf(inner), 1);
+				checkDone();
+			};
+			
+			inners.push(inner);
+			
+			inner.emit(function(innerItem, innerCancel) {
+				if (finished)
+					return;
+				
+				return emit(innerItem, function() {
+					if (innerCancel)
+						innerCancel();
+					if (cancel)
+						cancel();
+				});
+			}).done(finishInner).cancelled(finishInner).catch(fail);
+		}).done(function() {
+			upstreamDone = true;
+			checkDone();
+		}).catch(fail);
+	}));
+};
+
+/**
+ * Create a generator which emits the results of passing each item of this generator
+ * through `fn`, which may return a Promise. At most `concurrency` calls are in flight
+ * at once (a result counts until it has been delivered), and this generator is held 
+ * back while all of them are busy. Results are emitted in the order of the items, or 
+ * in the order they become available if `ordered` is false.
+ * 
+ * `fn` receives an `onCancel()` function as its second argument, for registering
+ * callbacks which abort the work when the resulting generator is cancelled or fails.
+ * 
+ * By default the first failure rejects the generator. With `errors: 'collect'`, failed 
+ * items are skipped and, once all other items are emitted, the generator is rejected 
+ * with a Generator.AggregateError, whose `errors` and `items` properties list the
+ * errors and the items which failed.
+ * 
+ * Options:
+ * - concurrency: The maximum number of calls in flight (default 1)
+ * - ordered: Emit results in the order of the items (default true)
+ * - errors: 'reject' (default) or 'collect'
+ * 
+ * @param function(item,onCancel) fn
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.prototype.mapAsync = function(fn, options) {
+	var self = this;
+	options = options || {};
+	
+	var concurrency = options.concurrency || 1;
+	var ordered = options.ordered !== false;
+	var collect = options.errors === 'collect';
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var pending = [];
+		var waiting = [];
+		var errors = [];
+		var failedItems = [];
+		var active = 0;
+		var upstreamDone = false;
+		var finished = false;
+		
+		var wake = function() {
+			while (waiting.length > 0 && (finished || active < concurrency))
+				waiting.shift()();
+		};
+		
+		var abort = function() {
+			var entries = pending;
+			pending = [];
+			
+			for (var i = 0, max = entries.length; i < max; ++i) {
+				var hooks = entries[i].hooks;
+				entries[i].hooks = [];
+				
+				for (var j = 0, jmax = hooks.length; j < jmax; ++j) {
+					try {
+						hooks[j]();
+					} catch (e) {
+						// Cleanup failures are not reported
+					}
+				}
+			}
+		};
+		
+		var fail = function(err) {
+			if (finished)
+				return;
+			finished = true;
+			abort();
+			wake();
+			reject(err);
+		};
+		
+		onCancel(function() {
+			finished = true;
+			abort();
+			wake();
+		});
+		
+		var checkDone = function() {
+			if (finished || !upstreamDone || active > 0)
+				return;
+			finished = true;
+			
+			if (errors.length > 0) {
+				var error = new Generator.AggregateError(errors, errors.length+' item(s) failed in mapAsync()');
+				error.items = failedItems;
+				reject(error);
+				return;
+			}
+			
+			done();
+		};
+		
+		var release = function() {
+			--active;
+			wake();
+			checkDone();
+		};
+		
+		var deliver = function(entry) {
+			if (finished)
+				return;
+			
+			if (entry.failed) {
+				errors.push(entry.error);
+				failedItems.push(entry.item);
+				release();
+				return;
+			}
+			
+			emit(entry.value).then(release);
+		};
+		
+		var settle = function(entry) {
+			if (finished)
+				return;
 			
-			var handleEmit = function(item) {
-				var id = hasher(item);
-				var count = 0;
-				if (map[id])
-					count = map[id];
-				
-				count += 1;
-				map[id] = count;
+			if (!ordered) {
+				pending.splice(pending.indexOf(entry), 1);
+				deliver(entry);
+				return;
+			}
+			
+			while (pending.length > 0 && pending[0].settled)
+				deliver(pending.shift());
+		};
+		
+		self.emit(function(item) {
+			if (finished)
+				return;
+			
+			var entry = { item: item, hooks: [], settled: false };
+			var result;
+			
+			pending.push(entry);
+			++active;
+			
+			try {
+				result = fn(item, function(cb) {
+					entry.hooks.push(cb);
+				});
+			} catch (e) {
+				result = Promise.reject(e);
+			}
+			
+			Promise.resolve(result).then(function(value) {
+				entry.value = value;
+				entry.settled = true;
+				entry.hooks = [];
+				settle(entry);
+			}, function(err) {
+				entry.hooks = [];
 				
-				if (count == generators.length) {
-					emit(item);
+				if (!collect) {
+					fail(err);
+					return;
 				}
+				
+				entry.failed = true;
+				entry.error = err;
+				entry.settled = true;
+				settle(entry);
+			});
+			
+			if (active >= concurrency) {
+				return new Promise(function(resolve) {
+					waiting.push(resolve);
+				});
+			}
+		}).done(function() {
+			upstreamDone = true;
+			checkDone();
+		}).catch(fail);
+	}));
+};
+
+
+/**
+ * Create a generator which emits each distinct item of this generator once, 
+ * skipping items equal to one emitted before. Pass a hasher to compare the ID 
+ * strings it produces for each item; otherwise items are compared by identity (===).
+ * Every distinct item (or ID) is kept, so memory grows with the number of distinct items.
+ * 
+ * @param function(item) hasher
+ * @returns {Generator}
+ */
+Generator.prototype.distinct = function(hasher) {
+	var seen = Generator._lookup(hasher || null);
+	
+	return this.filter(function(item) {
+		if (seen.has(item))
+			return false;
+		
+		seen.add(item);
+		return true;
+	});
+};
+
+/**
+ * Like distinct(), but uses the given comparator function to decide whether two 
+ * items are equal. This is O(n^2), so prefer distinct() with a hasher where possible.
+ * 
+ * @param function(a,b) comparator
+ * @returns {Generator}
+ */
+Generator.prototype.distinctBy = function(comparator) {
+	var seen = Generator._lookup(null, comparator);
+	
+	return this.filter(function(item) {
+		if (seen.has(item))
+			return false;
+		
+		seen.add(item);
+		return true;
+	});
+};
+
+// Aggregation
+
+/**
+ * Reduce the items emitted from now on to a single value, like Array.prototype.reduce(),
+ * without storing them (O(1) memory, unlike then()). Returns a Promise for the result.
+ * If no seed is given, the first item is used as the seed, and an empty generator 
+ * rejects the Promise with a TypeError. The Promise also rejects if the generator is 
+ * rejected or cancelled, or if `fn` throws (which rejects the generator as well, as 
+ * with any emit listener).
+ * 
+ * @param function(accumulator,item) fn
+ * @param {*} seed
+ * @returns {Promise}
+ */
+Generator.prototype.reduce = function(fn, seed) {
+	var self = this;
+	var seeded = arguments.length >= 2;
+	
+	return new Promise(function(resolve, reject) {
+		var accumulator = seed;
+		
+		self.emit(function(item) {
+			if (!seeded) {
+				seeded = true;
+				accumulator = item;
+				return;
 			}
 			
-			if (generator.emit) {
-				handlers.push(new Promise(function(resolve, reject) {
-					generator.emit(handleEmit).done(function() {
-						resolve();
-					});
-				}));
-			} else {
-				console.log('WARNING: Passing promises to Generator.intersectByHash() is deprecated. Please wrap it in a Generator first.');
+			accumulator = fn(accumulator, item);
+		}).done(function() {
+			if (!seeded) {
+				reject(new TypeError('Reduce of empty Generator with no seed'));
+				return;
+			}
+			
+			resolve(accumulator);
+		}).catch(function(err) {
+			reject(err);
+		}).cancelled(function() {
+			reject(new Generator.CancelledError());
+		});
+	});
+};
+
+/**
+ * Create a generator which emits the running result of reducing the items of this
+ * generator (see reduce()) after each item.
+ * 
+ * @param function(accumulator,item) fn
+ * @param {*} seed
+ * @returns {Generator}
+ */
+Generator.prototype.scan = function(fn, seed) {
+	var self = this;
+	var seeded = arguments.length >= 2;
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		var accumulator = seed;
+		
+		self.emit(function(item, cancel) {
+			if (!seeded) {
+				seeded = true;
+				accumulator = item;
+				return emit(accumulator, cancel);
+			}
+			
+			try {
+				accumulator = fn(accumulator, item);
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			
+			return emit(accumulator, cancel);
+		}).done(function() {
+			done();
+		}).catch(function(err) {
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Returns a Promise for the number of items emitted from now on.
+ * 
+ * @returns {Promise}
+ */
+Generator.prototype.count = function() {
+	return this.reduce(function(count) {
+		return count + 1;
+	}, 0);
+};
+
+/**
+ * Returns a Promise for the sum of the items emitted from now on (0 if there are none).
+ * 
+ * @returns {Promise}
+ */
+Generator.prototype.sum = function() {
+	return this.reduce(function(sum, item) {
+		return sum + item;
+	}, 0);
+};
+
+/**
+ * Returns a Promise for the smallest item emitted from now on, or undefined if there 
+ * are none. The comparator works like the one given to Array.prototype.sort(), and
+ * defaults to comparing with < and >.
+ * 
+ * @param function(a,b) comparator
+ * @returns {Promise}
+ */
+Generator.prototype.min = function(comparator) {
+	return Generator._extreme(this, comparator, -1);
+};
+
+/**
+ * Returns a Promise for the largest item emitted from now on, or undefined if there 
+ * are none. See min().
+ * 
+ * @param function(a,b) comparator
+ * @returns {Promise}
+ */
+Generator.prototype.max = function(comparator) {
+	return Generator._extreme(this, comparator, 1);
+};
+
+Generator._extreme = function(generator, comparator, direction) {
+	var none = {};
+	
+	if (!comparator) {
+		comparator = function(a, b) {
+			return a < b ? -1 : (a > b ? 1 : 0);
+		};
+	}
+	
+	return generator.reduce(function(best, item) {
+		if (best === none || comparator(item, best) * direction > 0)
+			return item;
+		return best;
+	}, none).then(function(best) {
+		return best === none ? undefined : best;
+	});
+};
+
+/**
+ * Create a generator which emits a Generator for each distinct key returned by `keyFn`,
+ * which in turn emits the items of this generator with that key. Each group has its
+ * key as its `key` property. A group is emitted when the first item with its key
+ * arrives, and its items are not kept for listeners who subscribe late, so subscribe 
+ * to groups from within the emit listener, or pass the `replay` option (which makes 
+ * each group keep all of its items). Groups complete, are rejected or are cancelled 
+ * along with this generator. Keys are compared by identity (===), or by the ID string
+ * produced by the `hasher` option.
+ * 
+ * Options:
+ * - replay: Create the groups with the `replay` option
+ * - hasher: Produces an ID string for each key
+ * 
+ * @param function(item) keyFn
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.prototype.groupBy = function(keyFn, options) {
+	var self = this;
+	options = options || {};
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var groups = Generator._lookup(options.hasher || null);
+		var all = [];
+		
+		var each = function(fn) {
+			for (var i = 0, max = all.length; i < max; ++i) {
+				fn(all[i]);
+			}
+		};
+		
+		onCancel(function() {
+			each(function(group) {
+				group.generator.cancel();
+			});
+		});
+		
+		var fail = function(err) {
+			each(function(group) {
+				group.reject(err);
+			});
+			reject(err);
+		};
+		
+		self.emit(function(item) {
+			var key;
+			
+			try {
+				key = keyFn(item);
+			} catch (e) {
+				fail(e);
+				return;
+			}
+			
+			var group = groups.get(key);
+			
+			if (!group) {
+				group = {};
+				group.generator = new Generator(function(done, reject, emit) {
+					group.done = done;
+					group.reject = reject;
+					group.emit = emit;
+				}, { replay: !!options.replay });
+				group.generator.key = key;
 				
-				handlers.push(generator.then(function(items) {
-					for (var j = 0, jMax = items.length; j < jMax; ++j) {
-						handleEmit(items[j]);
-					}
-				}));
+				groups.set(key, group);
+				all.push(group);
+				emit(group.generator);
+			}
+			
+			group.emit(item);
+		}).done(function() {
+			each(function(group) {
+				group.done();
+			});
+			done();
+		}).catch(fail);
+	}));
+};
+
+// Multicasting
+
+/**
+ * Share one run of this generator between several subscribers, cancelling it when 
+ * they have all left. Returns an object whose subscribe() method returns a new Generator 
+ * for each subscriber, which emits the items of this generator from then on. The first
+ * subscription starts delivery (this generator is paused until then, so a lazy producer
+ * does not run before it and no items are lost), and once every subscriber has been 
+ * cancelled, this generator is cancelled too. Items are delivered at the pace of the 
+ * slowest subscriber. Subscribers arriving after this generator has settled settle
+ * the same way right away.
+ * 
+ * @returns {object}
+ */
+Generator.prototype.share = function() {
+	return Generator._multicast(this, true);
+};
+
+/**
+ * Like share(), except that delivery only starts when connect() is called on the 
+ * returned object (so that all subscribers can be set up first), and this generator 
+ * keeps running when all subscribers have left.
+ * 
+ * @returns {object}
+ */
+Generator.prototype.publish = function() {
+	return Generator._multicast(this, false);
+};
+
+Generator._multicast = function(source, refCount) {
+	var subscribers = [];
+	var connected = false;
+	var settle = null;
+	
+	source.pause();
+	
+	var each = function(fn) {
+		var list = subscribers.slice();
+		
+		for (var i = 0, max = list.length; i < max; ++i) {
+			fn(list[i]);
+		}
+	};
+	
+	var connect = function() {
+		if (connected)
+			return source;
+		connected = true;
+		
+		source.emit(function(item) {
+			var delivered = [];
+			
+			each(function(subscriber) {
+				delivered.push(subscriber.emit(item));
+			});
+			
+			return Promise.all(delivered);
+		}).done(function() {
+			settle = function(subscriber) {
+				subscriber.done();
+			};
+			each(settle);
+		}).catch(function(err) {
+			settle = function(subscriber) {
+				subscriber.reject(err);
+			};
+			each(settle);
+		}).cancelled(function() {
+			settle = function(subscriber) {
+				subscriber.generator.cancel();
+			};
+			each(settle);
+		}).resume();
+		
+		return source;
+	};
+	
+	var subscribe = function() {
+		var subscriber = {};
+		
+		subscriber.generator = new Generator(function(done, reject, emit, onCancel) {
+			subscriber.done = done;
+			subscriber.reject = reject;
+			subscriber.emit = emit;
+			
+			onCancel(function() {
+				var index = subscribers.indexOf(subscriber);
+				
+				if (index < 0)
+					return;
+				
+				subscribers.splice(index, 1);
+				
+				if (refCount && subscribers.length == 0 && !settle)
+					source.cancel();
+			});
+		});
+		
+		if (settle) {
+			settle(subscriber);
+			return subscriber.generator;
+		}
+		
+		subscribers.push(subscriber);
+		
+		if (refCount)
+			connect();
+		
+		return subscriber.generator;
+	};
+	
+	return {
+		subscribe: subscribe,
+		connect: connect
+	};
+};
+
+// Batching
+
+/**
+ * Create a generator which emits arrays of `count` items of this generator. When this
+ * generator completes, the last partial batch is emitted. When this generator is 
+ * rejected or cancelled, the partial batch is dropped, unless the `partial` option is 
+ * 'flush': then it is emitted before the rejection, or emitted before completing (in 
+ * place of being cancelled).
+ * 
+ * Options:
+ * - partial: 'discard' (default) or 'flush'
+ * 
+ * @param {number} count
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.prototype.buffer = function(count, options) {
+	var self = this;
+	var flushPartial = !!options && options.partial == 'flush';
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit) {
+		var batch = [];
+		
+		var flush = function() {
+			if (batch.length == 0)
+				return;
+			
+			var full = batch;
+			batch = [];
+			return emit(full);
+		};
+		
+		self.emit(function(item) {
+			batch.push(item);
+			
+			if (batch.length >= count)
+				return flush();
+		}).done(function() {
+			flush();
+			done();
+		}).catch(function(err) {
+			if (flushPartial)
+				flush();
+			reject(err);
+		}).cancelled(function() {
+			if (flushPartial) {
+				flush();
+				done();
+			}
+		});
+	}));
+};
+
+/**
+ * Another name for buffer().
+ * 
+ * @param {number} count
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.prototype.chunk = function(count, options) {
+	return this.buffer(count, options);
+};
+
+/**
+ * Create a generator which emits the items of this generator collected into arrays 
+ * every `ms` milliseconds (skipping empty ones), or as soon as `maxCount` items have 
+ * been collected if given. Partial batches are handled as with buffer().
+ * 
+ * @param {number} ms
+ * @param {number} maxCount
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.prototype.bufferTime = function(ms, maxCount, options) {
+	var self = this;
+	var flushPartial = !!options && options.partial == 'flush';
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var batch = [];
+		
+		var flush = function() {
+			if (batch.length == 0)
+				return;
+			
+			var full = batch;
+			batch = [];
+			return emit(full);
+		};
+		
+		var interval = setInterval(flush, ms);
+		var clear = function() {
+			clearInterval(interval);
+		};
+		
+		onCancel(clear);
+		
+		self.emit(function(item) {
+			batch.push(item);
+			
+			if (maxCount && batch.length >= maxCount)
+				return flush();
+		}).done(function() {
+			clear();
+			flush();
+			done();
+		}).catch(function(err) {
+			clear();
+			if (flushPartial)
+				flush();
+			reject(err);
+		}).cancelled(function() {
+			clear();
+			if (flushPartial) {
+				flush();
+				done();
+			}
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits a Generator for every `count` items of this generator,
+ * each emitting those items. A window is emitted when its first item arrives, and keeps
+ * its items for listeners who subscribe late (see the `replay` option). When this 
+ * generator completes, so does the last window. When it is rejected or cancelled, the
+ * open window is rejected or cancelled too, unless the `partial` option is 'flush': 
+ * then the open window completes.
+ * 
+ * Options:
+ * - partial: 'discard' (default) or 'flush'
+ * 
+ * @param {number} count
+ * @param {object} options
+ * @returns {Generator}
+ */
+Generator.prototype.window = function(count, options) {
+	var self = this;
+	var flushPartial = !!options && options.partial == 'flush';
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var current = null;
+		
+		var open = function() {
+			var controls = {};
+			
+			controls.generator = new Generator(function(done, reject, emit) {
+				controls.done = done;
+				controls.reject = reject;
+				controls.emit = emit;
+			}, { replay: true });
+			
+			controls.size = 0;
+			return controls;
+		};
+		
+		var close = function() {
+			if (current)
+				current.done();
+			current = null;
+		};
+		
+		onCancel(function() {
+			if (current)
+				current.generator.cancel();
+			current = null;
+		});
+		
+		self.emit(function(item) {
+			if (!current) {
+				current = open();
+				emit(current.generator);
+			}
+			
+			current.emit(item);
+			
+			if (++current.size >= count)
+				close();
+		}).done(function() {
+			close();
+			done();
+		}).catch(function(err) {
+			if (flushPartial)
+				close();
+			else if (current)
+				current.reject(err);
+			
+			current = null;
+			reject(err);
+		}).cancelled(function() {
+			if (flushPartial) {
+				close();
+				done();
 			}
-		}
+		});
+	}));
+};
+
+// Time
+
+/**
+ * Create a generator which emits 0, 1, 2 and so on, one every `ms` milliseconds.
+ * It never completes, so cancel it (or use take()) when you are done with it.
+ * 
+ * @param {number} ms
+ * @returns {Generator}
+ */
+Generator.interval = function(ms) {
+	return new Generator(function(done, reject, emit, onCancel) {
+		var next = 0;
+		var interval = setInterval(function() {
+			emit(next++);
+		}, ms);
 		
-		Promise.all(handlers).then(function() {
-			resolve();
+		onCancel(function() {
+			clearInterval(interval);
 		});
 	});
-}
+};
 
 /**
- * Intersects the given set of generators, using the given "comparator" function
- * to determine if two objects are equal. This form of intersect operation can be much 
- * less efficient than intersection by identity (intersectByIdentity). Efficiency n^2
+ * Create a generator which emits 0 after `delay` milliseconds and then completes.
  * 
- * @param {type} promises
- * @param {type} identify
- * @returns {undefined}
+ * @param {number} delay
+ * @returns {Generator}
  */
-Generator.intersectByComparison = function(generators, comparator) {
-	
-	return new Generator(function(resolve, reject, emit) {
-		var handlers = [];
-		var distinctItems = [];
-		
-		for (var i = 0, max = generators.length; i < max; ++i) {
-			var generator = generators[i];
-			
-			var handleEmit = function(item) {
-				var found = false;
-				
-				for (var j = 0, jMax = distinctItems.length; j < jMax; ++j) {
-					var distinctItem = distinctItems[j];
-					
-					if (comparator(distinctItem.item, item)) {
-						distinctItem.count += 1;
-						
-						if (!distinctItem.emitted && distinctItem.count == generators.length) {
-							distinctItem.emitted = true;
-							emit(distinctItem.item);
-						}
-						
-						found = true;
-						break;
-					}
-				}
-				
-				if (found)
-					return;
-				
-				var distinctItem = {
-					item: item,
-					count: 1,
-					emitted: false
-				};
-				
-				if (distinctItem.count == generators.length) {
-					emit(distinctItem.item);
-					distinctItem.emitted = true;
-				}
-				
-				distinctItems.push(distinctItem);
-			}
-			
-			if (generator.emit) {
-				handlers.push(new Promise(function(resolve, reject) {
-					generator.emit(handleEmit).then(function() {
-						resolve();
-					});
-				}));
-			} else {
-				handlers.push(generator.then(function(items) {
-					for (var j = 0, jMax = items.length; j < jMax; ++j) {
-						handleEmit(items[j]);
-					}
-				}));
-			}
-		}
+Generator.timer = function(delay) {
+	return new Generator(function(done, reject, emit, onCancel) {
+		var timeout = setTimeout(function() {
+			emit(0);
+			done();
+		}, delay);
 		
-		Promise.all(handlers).then(function() {
-			resolve();
+		onCancel(function() {
+			clearTimeout(timeout);
 		});
 	});
-}
-
-// Instance methods
+};
 
 /**
- * Register a callback for the emit event, when the generator
- * emits an item.
+ * Create a generator which emits an item of this generator only once `ms` milliseconds
+ * have passed without another item arriving. When this generator completes, the 
+ * last item which is still waiting is emitted right away.
  * 
- * You may also omit the callback and be returned a promise.
- * This promise will resolve when the next item is emitted from the 
- * Generator, but will not be resolved again, because promises only
- * resolve once.
+ * @param {number} ms
+ * @returns {Generator}
+ */
+Generator.prototype.debounce = function(ms) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var timeout = null;
+		var latest;
+		
+		var flush = function() {
+			if (timeout === null)
+				return;
+			
+			clearTimeout(timeout);
+			timeout = null;
+			emit(latest);
+		};
+		
+		var clear = function() {
+			clearTimeout(timeout);
+			timeout = null;
+		};
+		
+		onCancel(clear);
+		
+		self.emit(function(item) {
+			latest = item;
+			clearTimeout(timeout);
+			timeout = setTimeout(flush, ms);
+		}).done(function() {
+			flush();
+			done();
+		}).catch(function(err) {
+			clear();
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits an item of this generator and then ignores the 
+ * items which follow it within `ms` milliseconds.
  * 
- * To instead have a recurring handler, you must pass a callback.
+ * @param {number} ms
+ * @returns {Generator}
+ */
+Generator.prototype.throttle = function(ms) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var timeout = null;
+		
+		var clear = function() {
+			clearTimeout(timeout);
+			timeout = null;
+		};
+		
+		onCancel(clear);
+		
+		self.emit(function(item, cancel) {
+			if (timeout !== null)
+				return;
+			
+			timeout = setTimeout(clear, ms);
+			return emit(item, cancel);
+		}).done(function() {
+			clear();
+			done();
+		}).catch(function(err) {
+			clear();
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits each item of this generator `ms` milliseconds 
+ * after it arrives, and completes once every delayed item has been emitted.
  * 
- * @param {type} cb
- * @returns {Generator.prototype}
+ * @param {number} ms
+ * @returns {Generator}
  */
-Generator.prototype.emit = function(cb) {
-	if (!cb) {
-		var self = this;
-		return new Promise(function(resolve, reject) {
-			var handler;
-			self.emit(handler = function(item) {
-				resolve(item);
+Generator.prototype.delay = function(ms) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var timeouts = [];
+		var upstreamDone = false;
+		
+		var clear = function() {
+			for (var i = 0, max = timeouts.length; i < max; ++i) {
+				clearTimeout(timeouts[i]);
+			}
+			timeouts = [];
+		};
+		
+		onCancel(clear);
+		
+		self.emit(function(item, cancel) {
+			var timeout = setTimeout(function() {
+				timeouts.splice(timeouts.indexOf(timeout), 1);
+				emit(item, cancel);
 				
-			});
+				if (upstreamDone && timeouts.length == 0)
+					done();
+			}, ms);
+			
+			timeouts.push(timeout);
+		}).done(function() {
+			upstreamDone = true;
+			if (timeouts.length == 0)
+				done();
+		}).catch(function(err) {
+			clear();
+			reject(err);
 		});
-	}
-	this._registeredEmits.push(cb);
-	return this;
+	}));
 };
 
-Generator.prototype.deregister = function(event, cb) {
-	var map = {
-		emit: this._registeredEmits,
-		catch: this._registeredCatches,
-		done: this._registeredDones
-	};
+/**
+ * Create a generator which looks at this generator every `ms` milliseconds and
+ * emits the most recent item, if a new one has arrived since the last look.
+ * 
+ * @param {number} ms
+ * @returns {Generator}
+ */
+Generator.prototype.sample = function(ms) {
+	var self = this;
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var latest;
+		var fresh = false;
+		
+		var interval = setInterval(function() {
+			if (!fresh)
+				return;
+			
+			fresh = false;
+			emit(latest);
+		}, ms);
+		
+		var clear = function() {
+			clearInterval(interval);
+		};
+		
+		onCancel(clear);
+		
+		self.emit(function(item) {
+			latest = item;
+			fresh = true;
+		}).done(function() {
+			clear();
+			done();
+		}).catch(function(err) {
+			clear();
+			reject(err);
+		});
+	}));
+};
+
+/**
+ * Create a generator which emits the items of this generator, but is rejected with 
+ * Generator.TimeoutError if this generator takes too long, cancelling it. `total` 
+ * limits the time until this generator completes, and `perItem` limits the time this
+ * generator may take to emit its first item, and each next item once the previous one
+ * has been delivered (time spent waiting on slow consumers does not count). Passing a
+ * number is the same as passing `{ total: number }`.
+ * 
+ * Options:
+ * - total: Milliseconds until this generator must have completed
+ * - perItem: Milliseconds within which each item must be emitted
+ * 
+ * @param {object|number} options
+ * @returns {Generator}
+ */
+Generator.prototype.timeout = function(options) {
+	var self = this;
 	
-	if (map[event].indexOf(cb) >= 0)
-		map[event].splice(map[event].indexOf(cb), 1);
+	if (typeof options === 'number')
+		options = { total: options };
+	options = options || {};
+	
+	return Generator._linkCancellation([self], new Generator(function(done, reject, emit, onCancel) {
+		var totalTimer = null;
+		var itemTimer = null;
+		var finished = false;
+		
+		var clear = function() {
+			finished = true;
+			
+			if (totalTimer !== null)
+				clearTimeout(totalTimer);
+			if (itemTimer !== null)
+				clearTimeout(itemTimer);
+			totalTimer = itemTimer = null;
+		};
+		
+		var expire = function() {
+			clear();
+			reject(new Generator.TimeoutError());
+		};
+		
+		var arm = function() {
+			if (finished || options.perItem === undefined || options.perItem === null)
+				return;
+			
+			itemTimer = setTimeout(expire, options.perItem);
+		};
+		
+		onCancel(clear);
+		
+		if (options.total !== undefined && options.total !== null)
+			totalTimer = setTimeout(expire, options.total);
+		arm();
+		
+		self.emit(function(item, cancel) {
+			if (itemTimer !== null) {
+				clearTimeout(itemTimer);
+				itemTimer = null;
+			}
+			
+			return emit(item, cancel).then(arm);
+		}).done(function() {
+			clear();
+			done();
+		}).catch(function(err) {
+			clear();
+			reject(err);
+		});
+	}));
 };
 
+// Event sources
+
 /**
- * Register a callback for the catch event, when the generator encounters
- * an exception or error.
+ * Create a generator which emits the first argument of each `name` event raised by
+ * the given target. Both EventEmitters (on() and off() or removeListener()) and DOM 
+ * EventTargets (addEventListener() and removeEventListener()) are supported. The 
+ * listeners are removed when the generator completes, is rejected or is cancelled.
+ * Events are not buffered before the generator is created, and cannot be held back,
+ * so the usual backpressure does not apply.
  * 
- * You may also omit the callback and be returned a promise.
- * This promise will either resolve to an error or never resolve.
- * The promise will never reject.
+ * Options:
+ * - endEvent: Name of an event which completes the generator
+ * - errorEvent: Name of an event which rejects the generator with its first argument
+ * - count: Complete the generator after this many events
  * 
- * @param {type} cb
- * @returns {Generator.prototype}
+ * @param {EventEmitter|EventTarget} target
+ * @param {string} name
+ * @param {object} options
+ * @returns {Generator}
  */
-Generator.prototype.catch = function(cb) {
-	if (!cb) {
-		var self = this;
-		return new Promise(function(resolve) {
-			self.catch(function(err) {
-				resolve(err);
+Generator.fromEvent = function(target, name, options) {
+	options = options || {};
+	
+	return new Generator(function(done, reject, emit, onCancel) {
+		var received = 0;
+		var removers = [];
+		
+		var listen = function(eventName, fn) {
+			if (typeof target.addEventListener === 'function') {
+				target.addEventListener(eventName, fn);
+				removers.push(function() {
+					target.removeEventListener(eventName, fn);
+				});
+				return;
+			}
+			
+			target.on(eventName, fn);
+			removers.push(function() {
+				if (typeof target.off === 'function')
+					target.off(eventName, fn);
+				else
+					target.removeListener(eventName, fn);
 			});
+		};
+		
+		var detach = function() {
+			for (var i = 0, max = removers.length; i < max; ++i) {
+				removers[i]();
+			}
+			removers = [];
+		};
+		
+		listen(name, function(value) {
+			emit(value);
+			
+			if (options.count && ++received >= options.count) {
+				detach();
+				done();
+			}
 		});
-	}
-	this._registeredCatches.push(cb);
-	return this;
+		
+		if (options.endEvent) {
+			listen(options.endEvent, function() {
+				detach();
+				done();
+			});
+		}
+		
+		if (options.errorEvent) {
+			listen(options.errorEvent, function(err) {
+				detach();
+				reject(err);
+			});
+		}
+		
+		onCancel(detach);
+	});
 };
 
+// Node.js streams
+
 /**
- * Pass a callback function or pass no arguments to receive
- * a Promise for completion of the generator.
+ * Create a generator which emits each chunk read from the given Node.js Readable 
+ * stream, completes when the stream ends and is rejected when the stream errors.
+ * The stream is paused while `highWaterMark` chunks (default 16) are waiting to be
+ * delivered, and is destroyed if the generator is cancelled.
  * 
- * @param {type} cb
- * @returns {Promise|Generator.prototype}
+ * Options:
+ * - highWaterMark: Number of undelivered chunks at which the stream is paused
+ * 
+ * @param {stream.Readable} stream
+ * @param {object} options
+ * @returns {Generator}
  */
-Generator.prototype.done = function(cb) {
+Generator.fromStream = function(stream, options) {
+	var highWaterMark = (options && options.highWaterMark) || 16;
 	
-	if (!cb) {
-		var self = this;
-		return new Promise(function(resolve, reject) {
-			self.done(function() {
-				resolve();
-			}).catch(function(err) {
-				reject(err);
+	return new Generator(function(done, reject, emit, onCancel) {
+		var pending = 0;
+		var finished = false;
+		
+		var detach = function() {
+			finished = true;
+			stream.removeListener('data', onData);
+			stream.removeListener('end', onEnd);
+			stream.removeListener('error', onError);
+		};
+		
+		var onData = function(chunk) {
+			if (++pending >= highWaterMark)
+				stream.pause();
+			
+			emit(chunk).then(function() {
+				if (--pending < highWaterMark && !finished)
+					stream.resume();
 			});
+		};
+		
+		var onEnd = function() {
+			detach();
+			done();
+		};
+		
+		var onError = function(err) {
+			detach();
+			reject(err);
+		};
+		
+		onCancel(function() {
+			detach();
+			if (typeof stream.destroy === 'function')
+				stream.destroy();
 		});
-	}
-	
-	this._registeredDones.push(cb);
-	return this;
+		
+		stream.on('data', onData);
+		stream.on('end', onEnd);
+		stream.on('error', onError);
+	});
 };
 
 /**
- * To blend nicely with Promises, Generators can start an actual Promise chain.
- * NOTE that this will cause the Generator to store an array of all results emitted 
- * between the registration of this function and when the generator complets (.done()).
+ * Create an object-mode Node.js Readable stream which reads the items emitted from 
+ * now on. The generator is held back (via backpressure) while the stream's buffer is 
+ * full. The stream ends when the generator completes, and is destroyed with the 
+ * error when the generator is rejected (or with Generator.CancelledError when it 
+ * is cancelled). Destroying the stream cancels the generator.
  * 
- * This will cause O(N) memory usage instead of O(1), so only use this if you don't 
- * mind storing all generator results into an array (very very bad idea for an 
- * infinite set for example).
+ * Options:
+ * - highWaterMark: Number of items the stream buffers (default 16)
+ * - Readable: The Readable class to use (defaults to require('stream').Readable)
  * 
- * @param {type} cb
- * @returns {Promise}
+ * @param {object} options
+ * @returns {stream.Readable}
  */
-Generator.prototype.then = function(cb) {
+Generator.prototype.toReadable = function(options) {
 	var self = this;
-	return new Promise(function(resolve, reject) {
-		var items = [];
+	options = options || {};
+	
+	var Readable = options.Readable || require('stream').Readable;
+	var blocked = null;
+	var finished = false;
+	
+	var unblock = function() {
+		if (!blocked)
+			return;
 		
-		self.emit(function(item) {
-			items.push(item);
-		}).done(function() {
-			try {
-				var result = cb(items);
-				resolve(result);
-			} catch (e) {
-				reject(e);
+		var resolve = blocked;
+		blocked = null;
+		resolve();
+	};
+	
+	var readable = new Readable({
+		objectMode: true,
+		highWaterMark: options.highWaterMark || 16,
+		read: function() {
+			unblock();
+		},
+		destroy: function(err, cb) {
+			unblock();
+			if (!finished) {
+				finished = true;
+				self.cancel();
 			}
-		});
+			cb(err);
+		}
+	});
+	
+	self.emit(function(item) {
+		if (finished)
+			return;
+		
+		if (!readable.push(item)) {
+			return new Promise(function(resolve) {
+				blocked = resolve;
+			});
+		}
+	}).done(function() {
+		if (finished)
+			return;
+		finished = true;
+		readable.push(null);
+	}).catch(function(err) {
+		if (finished)
+			return;
+		finished = true;
+		readable.destroy(err);
+	}).cancelled(function() {
+		if (finished)
+			return;
+		finished = true;
+		readable.destroy(new Generator.CancelledError());
+	});
+	
+	return readable;
+};
+
+/**
+ * Pipe the items emitted from now on into the given Node.js Writable stream 
+ * (which must be in object mode), respecting its backpressure. See toReadable().
+ * If the generator is rejected or cancelled, the writable is destroyed with the 
+ * error (or Generator.CancelledError), so listen for 'error' on the writable.
+ * 
+ * @param {stream.Writable} writable
+ * @param {object} options
+ * @returns {stream.Writable}
+ */
+Generator.prototype.pipe = function(writable, options) {
+	var readable = this.toReadable(options);
+	
+	readable.on('error', function(err) {
+		readable.unpipe(writable);
+		writable.destroy(err);
 	});
-};
\ No newline at end of file
+	
+	return readable.pipe(writable);
+};
@@ -158,129 +158,2331 @@ describe("Generator", function() {
 	});
 });
 
-describe("Generator.resolve()", function() {
-	it("provides a Generator which emits the value passed", function(_done) {
-		Generator.resolve(123).emit(function(value) {
-			expect(value).toBe(123);
+describe("Generator lifecycle", function() {
+	it("is pending until it settles", function(_done) {
+		var generator = new Generator([1,2,3]);
+		expect(generator.state).toBe(Generator.PENDING);
+		generator.done(function() {
+			expect(generator.state).toBe(Generator.COMPLETED);
+			_done();
+		});
+	});
+	
+	it("calls done listeners registered after completion", function(_done) {
+		var generator = new Generator([1,2,3]);
+		generator.done(function() {
+			generator.done(function() {
+				_done();
+			});
+		});
+	});
+	
+	it("calls catch listeners registered after rejection", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			reject('failure');
+		});
+		generator.catch(function() {
+			expect(generator.state).toBe(Generator.REJECTED);
+			generator.catch(function(err) {
+				expect(err).toBe('failure');
+				_done();
+			});
+		});
+	});
+	
+	it("settles only once and ignores emits after settling", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			emit(1);
+			done();
+			emit(2);
+			reject('failure');
+			done();
+		});
+		var items = [];
+		var dones = 0;
+		var catches = 0;
+		
+		generator.emit(function(item) {
+			items.push(item);
 		}).done(function() {
+			++dones;
+		}).catch(function() {
+			++catches;
+		});
+		
+		setTimeout(function() {
+			expect(items).toEqual([1]);
+			expect(dones).toBe(1);
+			expect(catches).toBe(0);
 			_done();
+		}, 50);
+	});
+	
+	it("replays buffered items to late emit listeners when asked to", function(_done) {
+		var generator = new Generator([1,2,3], { replay: true });
+		generator.done(function() {
+			generator.then(function(items) {
+				expect(items).toEqual([1,2,3]);
+				_done();
+			});
 		});
 	});
+	it("rejects when a late listener throws on a replayed item", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			emit(1);
+			setTimeout(function() {
+				emit(2);
+				done();
+			}, 20);
+		}, { replay: true });
+		
+		setTimeout(function() {
+			generator.emit(function() {
+				throw 'late failure';
+			}).catch(function(err) {
+				expect(err).toBe('late failure');
+				expect(generator.state).toBe(Generator.REJECTED);
+				_done();
+			});
+		}, 5);
+	});
+	it("holds back new items while a late listener is busy with replayed ones", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			emit(1);
+			setTimeout(function() {
+				emit(2);
+				done();
+			}, 10);
+		}, { replay: true });
+		var finished = [];
+		
+		setTimeout(function() {
+			generator.emit(function(item) {
+				return new Promise(function(resolve) {
+					setTimeout(function() {
+						finished.push(item);
+						resolve();
+					}, item == 1 ? 30 : 0);
+				});
+			}).done(function() {
+				expect(finished).toEqual([1,2]);
+				_done();
+			});
+		}, 5);
+	});
 });
-describe('Generator.splitPromise()', function() {
-	it("emits each item of a promise's array result", function(_done) {
-		var expectedItems = [1,2,3];
-		var index = 0;
+
+describe("Generator lazy start", function() {
+	it('runs a lazy producer on the first subscription', function(_done) {
+		var started = false;
+		var generator = new Generator(function(done, reject, emit) {
+			started = true;
+			emit(1);
+			emit(2);
+			done();
+		}, { lazy: true });
 		
-		Generator.splitPromise(Promise.resolve([1,2,3])).emit(function(item) {
-			expect(item).toBe(expectedItems[index++]);
-		}).done(function() {
-			expect(index).toBe(expectedItems.length);
+		setTimeout(function() {
+			expect(started).toBe(false);
+			generator.then(function(items) {
+				expect(started).toBe(true);
+				expect(items).toEqual([1,2]);
+				_done();
+			});
+		}, 5);
+	});
+	it('never runs a lazy producer which is cancelled first', function(_done) {
+		var started = false;
+		var generator = new Generator(function() {
+			started = true;
+		}, { lazy: true });
+		
+		generator.cancel();
+		generator.emit(function() { }).cancelled(function() {
+			expect(started).toBe(false);
+			_done();
+		});
+	});
+	it('calls the factory given to Generator.defer() on the first subscription', function(_done) {
+		var calls = 0;
+		var generator = Generator.defer(function() {
+			++calls;
+			return [1,2,3];
+		});
+		
+		expect(calls).toBe(0);
+		generator.then(function(items) {
+			expect(calls).toBe(1);
+			expect(items).toEqual([1,2,3]);
 			_done();
 		});
 	});
 });
-describe("Generator.union()", function() {
-	it("provides a Generator which emits the values of all given generators", function(_done) {
-		var items = {};
-		for (var i = 1, max = 6; i <= max; ++i) {
-			items[i] = true;
-		}
+
+describe("Generator backpressure", function() {
+	it("returns a promise from emit which resolves once the item is delivered", function(_done) {
+		var delivered = [];
+		var generator = new Generator(function(done, reject, emit) {
+			emit(1).then(function() {
+				expect(delivered).toEqual([1]);
+				done();
+				_done();
+			});
+		});
 		
-		Generator.union([
-			new Generator([1,2,3]),
-			new Generator([4,5,6])
-		]).emit(function(value) {
-			expect(typeof items[value]).not.toBe('undefined');
-			delete items[value];
+		generator.emit(function(item) {
+			delivered.push(item);
+		});
+	});
+	
+	it("waits for a promise returned from an emit listener", function(_done) {
+		var busy = false;
+		var items = [];
+		
+		new Generator([1,2,3]).emit(function(item) {
+			expect(busy).toBe(false);
+			busy = true;
+			items.push(item);
+			
+			return new Promise(function(resolve) {
+				setTimeout(function() {
+					busy = false;
+					resolve();
+				}, 10);
+			});
 		}).done(function() {
-			for (var i = 1, max = 6; i <= max; ++i)
-				expect(typeof items[i]).toBe('undefined');
+			expect(items).toEqual([1,2,3]);
 			_done();
 		});
 	});
-});
-describe("Generator.exclude()", function() {
-	it("provides a Generator which emits the values of setA which are not in setB", function(_done) {
-		var count = 0;
-		Generator.exclude(
-			new Generator([1,2,3]),
-			new Generator([1,3])
-		).emit(function(value) {
-			++count;
-			expect(value).toBe(2);
+	
+	it("holds back items while paused", function(_done) {
+		var items = [];
+		var generator = new Generator([1,2,3]).pause();
+		
+		generator.emit(function(item) {
+			items.push(item);
 		}).done(function() {
-			expect(count).toBe(1);
+			expect(items).toEqual([1,2,3]);
 			_done();
 		});
+		
+		setTimeout(function() {
+			expect(items).toEqual([]);
+			expect(generator.isPaused()).toBe(true);
+			generator.resume();
+		}, 20);
 	});
-	it("can take a comparator function", function(_done) {
+	
+	it("lets producers wait for consumers", function(_done) {
+		var produced = 0;
+		var generator = new Generator(function(done, reject, emit) {
+			var next = function() {
+				if (produced >= 3) {
+					done();
+					return;
+				}
+				emit(++produced).then(next);
+			};
+			next();
+		}).pause();
+		
+		setTimeout(function() {
+			expect(produced).toBe(1);
+			generator.resume().done(function() {
+				expect(produced).toBe(3);
+				_done();
+			});
+		}, 20);
+	});
+	it("drains a large queue in linear time while the consumer holds it up", function(_done) {
+		var start = Date.now();
 		var count = 0;
-		Generator.exclude(
-			new Generator([{id:1},{id:2},{id:3}]),
-			new Generator([{id:1},{id:3}]),
-			function(a,b) {
-				return a.id == b.id;
-			}
-		).emit(function(item) {
-			++count;
-			expect(item.id).toBe(2);
+		var ordered = true;
+		
+		new Generator(function(done, reject, emit) {
+			for (var i = 0; i < 100000; ++i)
+				emit(i);
+			done();
+		}).emit(function(item) {
+			if (item !== count++)
+				ordered = false;
+			return Promise.resolve();
 		}).done(function() {
-			expect(count).toBe(1);
+			expect(count).toBe(100000);
+			expect(ordered).toBe(true);
+			expect(Date.now() - start).toBeLessThan(3000);
 			_done();
 		});
 	});
 });
 
-describe('Generator.intersectByHash()', function() {
-	it('provides a Generator of A intersected with B', function(_done) {
+describe("Generator cancellation", function() {
+	it("calls cancelled listeners instead of done listeners", function(_done) {
+		var items = [];
+		var generator = new Generator([1,2,3]);
 		
-		var expectedItems = [2,3,6];
-		var index = 0;
+		generator.emit(function(item) {
+			items.push(item);
+			generator.cancel();
+		}).done(function() {
+			fail('done should not be called');
+		}).cancelled(function() {
+			expect(items).toEqual([1]);
+			expect(generator.state).toBe(Generator.CANCELLED);
+			_done();
+		});
+	});
+	
+	it("rejects the done() promise with CancelledError", function(_done) {
+		var generator = new Generator(function(done, reject, emit) { });
+		generator.done().catch(function(err) {
+			expect(err instanceof Generator.CancelledError).toBe(true);
+			_done();
+		});
+		generator.cancel();
+	});
+	
+	it("runs the producer's cleanup hooks", function(_done) {
+		var interval;
+		var generator = new Generator(function(done, reject, emit, onCancel) {
+			interval = setInterval(function() {
+				emit('tick');
+			}, 5);
+			
+			onCancel(function() {
+				clearInterval(interval);
+				interval = null;
+			});
+		});
 		
-		Generator.intersectByHash(
-			[
-				new Generator([{id:6},{id:1},{id:2},{id:3}              ]),
-				new Generator([              {id:2},{id:3},{id:5},{id:6}])
-			],
-			function(item) {
-				return item.id
+		generator.emit(function(item, cancel) {
+			cancel();
+		}).cancelled(function() {
+			expect(interval).toBe(null);
+			_done();
+		});
+	});
+	
+	it("is cancelled when its signal is aborted", function(_done) {
+		var listeners = [];
+		var signal = {
+			aborted: false,
+			addEventListener: function(name, fn) {
+				listeners.push(fn);
+			},
+			removeEventListener: function(name, fn) {
+				listeners.splice(listeners.indexOf(fn), 1);
 			}
-		).emit(function(item) {
-			//console.log('emitted '+item.id);
-			expect(index < expectedItems.length).toBe(true);
-			expect(item.id).toBe(expectedItems[index]);
-			++index;
-		}).done(function() {
-			expect(index).toBe(expectedItems.length);
+		};
+		
+		var generator = new Generator(function(done, reject, emit) { }, { signal: signal });
+		generator.cancelled(function() {
+			expect(listeners.length).toBe(0);
 			_done();
 		});
+		
+		signal.aborted = true;
+		listeners[0]();
+	});
 	
+	it("propagates from operators and combinators to their sources", function(_done) {
+		var sourceA = new Generator(function(done, reject, emit) { });
+		var sourceB = new Generator(function(done, reject, emit) { });
+		var cancelled = 0;
+		var check = function() {
+			if (++cancelled == 2)
+				_done();
+		};
+		
+		sourceA.cancelled(check);
+		sourceB.cancelled(check);
+		
+		Generator.union([sourceA.map(function(x) { return x; }), sourceB]).cancel();
 	});
-});
-describe('Generator.intersectByComparison()', function() {
-	it('provides a Generator of A intersected with B', function(_done) {
+	
+	it("propagates from a source to the generators built on it", function(_done) {
+		var source = new Generator(function(done, reject, emit) { });
 		
-		var expectedItems = [2,3,6];
-		var index = 0;
+		source.filter(function() { return true; }).cancelled(function() {
+			_done();
+		});
+		source.cancel();
+	});
+});
+
+describe("Generator error propagation", function() {
+	it("rejects when the producer throws", function(_done) {
+		new Generator(function(done, reject, emit) {
+			throw 'producer failure';
+		}).catch(function(err) {
+			expect(err).toBe('producer failure');
+			_done();
+		});
+	});
+	
+	it("rejects when an emit listener throws and stops the producer", function(_done) {
+		var stopped = false;
+		var items = [];
 		
-		Generator.intersectByComparison(
-			[
-				new Generator([{id:6},{id:1},{id:2},{id:3}              ]),
-				new Generator([              {id:2},{id:3},{id:5},{id:6}])
-			],
-			function(a, b) {
-				return a.id == b.id;
-			}
-		).emit(function(item) {
-			//console.log('emitted '+item.id);
-			expect(index < expectedItems.length).toBe(true);
-			expect(item.id).toBe(expectedItems[index]);
-			++index;
+		new Generator(function(done, reject, emit, onCancel) {
+			emit(1);
+			emit(2);
+			emit(3);
+			done();
+			
+			onCancel(function() {
+				stopped = true;
+			});
+		}).emit(function(item) {
+			items.push(item);
+			if (item == 2)
+				throw 'listener failure';
 		}).done(function() {
-			expect(index).toBe(expectedItems.length);
+			fail('done should not be called');
+		}).catch(function(err) {
+			expect(err).toBe('listener failure');
+			expect(items).toEqual([1,2]);
+			expect(stopped).toBe(true);
+			_done();
+		});
+	});
+	
+	it("rejects when a promise returned from an emit listener rejects", function(_done) {
+		new Generator([1,2,3]).emit(function(item) {
+			return Promise.reject('async failure');
+		}).catch(function(err) {
+			expect(err).toBe('async failure');
+			_done();
+		});
+	});
+	
+	it("rejects the then() promise when the generator is rejected", function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			reject('failure');
+		}).then(function() {
+			fail('then should not resolve');
+		}, function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+	
+	it("can be awaited like a promise", function(_done) {
+		Promise.resolve(new Generator([1,2,3])).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	
+	it("rejects when a wrapped promise rejects", function(_done) {
+		new Generator(Promise.reject('failure')).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+	
+	it("rejects a union as soon as one source fails and cancels the others", function(_done) {
+		var pending = new Generator(function(done, reject, emit) { });
+		var failing = new Generator(function(done, reject, emit) {
+			reject('failure');
+		});
+		
+		Generator.union([pending, failing]).catch(function(err) {
+			expect(err).toBe('failure');
+			pending.cancelled(function() {
+				_done();
+			});
+		});
+	});
+	
+	it("rejects an intersection when one source fails", function(_done) {
+		Generator.intersectByHash([
+			new Generator([1,2]),
+			new Generator(function(done, reject, emit) {
+				reject('failure');
+			})
+		], function(item) {
+			return item;
+		}).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+});
+
+describe("Generator async iteration", function() {
+	var asyncIterable = function(items) {
+		var iterable = {};
+		iterable[Symbol.asyncIterator] = function() {
+			var position = 0;
+			return {
+				next: function() {
+					if (position >= items.length)
+						return Promise.resolve({ value: undefined, done: true });
+					return Promise.resolve({ value: items[position++], done: false });
+				},
+				return: function() {
+					iterable.closed = true;
+					return Promise.resolve({ done: true });
+				}
+			};
+		};
+		return iterable;
+	};
+	
+	var readAll = function(iterator, items) {
+		return iterator.next().then(function(result) {
+			if (result.done)
+				return items;
+			items.push(result.value);
+			return readAll(iterator, items);
+		});
+	};
+	
+	it("is an async iterable", function(_done) {
+		var generator = new Generator([1,2,3]);
+		readAll(generator[Symbol.asyncIterator](), []).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	
+	it("cancels the generator when iteration stops early", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+		});
+		var iterator = generator.iterator();
+		
+		iterator.next().then(function(result) {
+			expect(result.value).toBe(1);
+			return iterator.return();
+		}).then(function(result) {
+			expect(result.done).toBe(true);
+			expect(generator.state).toBe(Generator.CANCELLED);
 			_done();
 		});
+	});
 	
+	it("throws from the iterator when the generator is rejected", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			emit(1);
+			reject('failure');
+		});
+		var iterator = generator.iterator();
+		
+		readAll(iterator, []).then(function() {
+			fail('iteration should fail');
+		}, function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
 	});
-});
\ No newline at end of file
+	
+	it("holds back the generator while the iterator is not read", function(_done) {
+		var produced = 0;
+		var generator = new Generator(function(done, reject, emit) {
+			var next = function() {
+				if (produced >= 10)
+					return done();
+				emit(++produced).then(next);
+			};
+			next();
+		});
+		var iterator = generator.iterator({ bufferSize: 2 });
+		
+		setTimeout(function() {
+			expect(produced).toBeLessThan(4);
+			readAll(iterator, []).then(function(items) {
+				expect(items).toEqual([1,2,3,4,5,6,7,8,9,10]);
+				_done();
+			});
+		}, 30);
+	});
+	
+	it("accepts async iterables", function(_done) {
+		Generator.from(asyncIterable([1,2,3])).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	
+	it("closes an async iterable source when cancelled", function(_done) {
+		var source = asyncIterable([1,2,3]);
+		var generator = Generator.from(source);
+		
+		generator.emit(function(item, cancel) {
+			cancel();
+		}).done(function() {
+			expect(source.closed).toBe(true);
+			_done();
+		});
+	});
+	
+	it("accepts iterables", function(_done) {
+		Generator.from(new Set([1,2,3])).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	
+	it("returns generators from Generator.from() as they are", function() {
+		var generator = new Generator([1]);
+		expect(Generator.from(generator)).toBe(generator);
+	});
+});
+
+describe("Generator schedulers", function() {
+	afterEach(function() {
+		Generator.setScheduler('immediate');
+	});
+	
+	it("delivers events right away with the sync scheduler", function() {
+		var items = [];
+		var completed = false;
+		var emitNow;
+		var doneNow;
+		
+		new Generator(function(done, reject, emit) {
+			emitNow = emit;
+			doneNow = done;
+		}, { scheduler: 'sync' }).emit(function(item) {
+			items.push(item);
+		}).done(function() {
+			completed = true;
+		});
+		
+		emitNow(1);
+		expect(items).toEqual([1]);
+		doneNow();
+		expect(completed).toBe(true);
+	});
+	
+	it("keeps every item of array and iterable sources with the sync scheduler", function(_done) {
+		Generator.setScheduler('sync');
+		
+		var items = [];
+		var source = new Generator([1,2,3]);
+		
+		source.emit(function(item) {
+			items.push(item);
+		});
+		
+		source.map(function(x) {
+			return x * 2;
+		}).then(function(doubled) {
+			expect(items).toEqual([1,2,3]);
+			expect(doubled).toEqual([2,4,6]);
+			
+			new Generator(new Set([4,5]), { scheduler: 'sync' }).then(function(items) {
+				expect(items).toEqual([4,5]);
+				_done();
+			});
+		});
+	});
+	
+	it("accepts a custom scheduler function", function(_done) {
+		var tasks = 0;
+		var scheduler = function(task) {
+			++tasks;
+			setTimeout(task, 0);
+		};
+		
+		new Generator([1,2], { scheduler: scheduler }).then(function(items) {
+			expect(items).toEqual([1,2]);
+			expect(tasks).toBeGreaterThan(0);
+			_done();
+		});
+	});
+	
+	it("can change the scheduler for new generators", function(_done) {
+		Generator.setScheduler('microtask');
+		
+		var items = [];
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			done();
+		}).emit(function(item) {
+			items.push(item);
+		});
+		
+		Promise.resolve().then(function() {
+			expect(items).toEqual([1]);
+			_done();
+		});
+	});
+	
+	it("always delivers every item before done", function(_done) {
+		var schedulers = ['microtask', 'immediate', 'timeout'];
+		var remaining = schedulers.length;
+		
+		schedulers.forEach(function(scheduler) {
+			var count = 0;
+			
+			new Generator(function(done, reject, emit) {
+				for (var i = 0; i < 1000; ++i)
+					emit(i);
+				done();
+			}, { scheduler: scheduler }).emit(function(item) {
+				expect(item).toBe(count++);
+			}).done(function() {
+				expect(count).toBe(1000);
+				if (--remaining == 0)
+					_done();
+			});
+		});
+	});
+	
+	it("rejects unknown scheduler names", function() {
+		expect(function() {
+			new Generator([1], { scheduler: 'nonsense' });
+		}).toThrow();
+	});
+});
+
+describe("Generator tracing", function() {
+	afterEach(function() {
+		Generator.setTracer(null);
+	});
+	
+	it("reports the lifecycle of generators to the tracer", function(_done) {
+		var events = [];
+		Generator.setTracer(function(event) {
+			if (event.generator.name == 'traced')
+				events.push(event.type+(event.data !== undefined ? ':'+event.data : ''));
+		});
+		
+		new Generator([1,2], { name: 'traced' }).then(function() {
+			expect(events).toEqual(['create', 'listen:emit', 'listen:done', 'listen:catch', 
+				'listen:cancelled', 'emit:1', 'emit:2', 'done']);
+			_done();
+		});
+	});
+	it("links combinators to their sources", function(_done) {
+		var links = [];
+		var a = new Generator([1]);
+		var b = new Generator([2]);
+		
+		Generator.setTracer(function(event) {
+			if (event.type == 'link')
+				links.push(event);
+		});
+		
+		var union = Generator.union([a, b]);
+		expect(links.length).toBe(1);
+		expect(links[0].generator).toBe(union);
+		expect(union.sources()).toEqual([a, b]);
+		union.then(function() {
+			_done();
+		});
+	});
+	it("counts items and times generators", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			setTimeout(function() {
+				emit(1);
+				emit(2);
+				done();
+			}, 10);
+		});
+		
+		expect(generator.stats().timeToFirstItem).toBe(null);
+		generator.then(function() {
+			var stats = generator.stats();
+			expect(stats.emitted).toBe(2);
+			expect(stats.timeToFirstItem).not.toBeLessThan(9);
+			expect(stats.duration).not.toBeLessThan(stats.timeToFirstItem);
+			_done();
+		});
+	});
+	it("prints a tree of the active generators with the debug tracer", function(_done) {
+		var tracer = Generator.debugTracer();
+		Generator.setTracer(tracer);
+		
+		var stalled = new Generator(function() { }).named('stalled');
+		var finished = new Generator([1]).named('finished');
+		var union = Generator.union([stalled, finished]).named('union');
+		
+		union.emit(function() { });
+		finished.done(function() {
+			setTimeout(function() {
+				var lines = tracer.tree().split('\n');
+				expect(lines.length).toBe(3);
+				expect(lines[0]).toMatch(/^union#\d+ \(pending, 1 item, first after \d+ms, \d+ms\)$/);
+				expect(lines[1]).toMatch(/^  stalled#\d+ \(pending, 0 items, \d+ms\)$/);
+				expect(lines[2]).toMatch(/^  finished#\d+ \(completed, 1 item/);
+				union.cancel();
+				setTimeout(function() {
+					expect(tracer.tree()).toBe('');
+					_done();
+				}, 5);
+			}, 5);
+		});
+	});
+});
+describe("Generator strict mode", function() {
+	var problems;
+	
+	beforeEach(function() {
+		problems = [];
+		Generator.setStrict({
+			idleTimeout: 20,
+			thenLimit: 3,
+			report: function(problem) {
+				problems.push(problem);
+			}
+		});
+	});
+	afterEach(function() {
+		Generator.setStrict(false);
+	});
+	
+	it("reports generators which stay pending, with their creation stack", function(_done) {
+		var stalled = new Generator(function() { });
+		
+		setTimeout(function() {
+			expect(problems.length).toBe(1);
+			expect(problems[0].type).toBe('idle');
+			expect(problems[0].generator).toBe(stalled);
+			expect(problems[0].stack).toContain('GeneratorSpec');
+			stalled.cancel();
+			_done();
+		}, 60);
+	});
+	it("reports emits after settlement", function(_done) {
+		new Generator(function(done, reject, emit) {
+			done();
+			emit(1);
+			done();
+		}).done(function() {
+			expect(problems.map(function(problem) { return problem.type; }))
+				.toEqual(['emit-after-settle', 'settle-after-settle']);
+			_done();
+		});
+	});
+	it("does not report producers which emit after being cancelled", function(_done) {
+		var generator = new Generator(function(done, reject, emit) {
+			setTimeout(function() {
+				emit(1);
+				done();
+				expect(problems).toEqual([]);
+				_done();
+			}, 5);
+		});
+		generator.cancel();
+	});
+	it("reports emit listeners registered after completion", function(_done) {
+		var generator = new Generator([1]);
+		generator.done(function() {
+			generator.emit(function() { });
+			expect(problems.length).toBe(1);
+			expect(problems[0].type).toBe('listen-after-settle');
+			_done();
+		});
+	});
+	it("reports then() buffering too many items", function(_done) {
+		new Generator([1,2,3,4]).then(function() {
+			expect(problems.length).toBe(1);
+			expect(problems[0].type).toBe('then-buffer');
+			_done();
+		});
+	});
+});
+describe("Generator.resolve()", function() {
+	it("provides a Generator which emits the value passed", function(_done) {
+		Generator.resolve(123).emit(function(value) {
+			expect(value).toBe(123);
+		}).done(function() {
+			_done();
+		});
+	});
+});
+describe("Generator errors", function() {
+	it("are Error instances with a code and a stack", function() {
+		var error = new Generator.TimeoutError();
+		
+		expect(error instanceof Error).toBe(true);
+		expect(error instanceof Generator.GeneratorError).toBe(true);
+		expect(error instanceof Generator.CancelledError).toBe(false);
+		expect(error.name).toBe('TimeoutError');
+		expect(error.code).toBe('generator-timeout');
+		expect(error.error).toBe(error.code);
+		expect(typeof error.stack).toBe('string');
+	});
+	it("report deprecations once through the logger", function(_done) {
+		var messages = [];
+		Generator.setLogger({
+			warn: function(message) { messages.push(message); }
+		});
+		
+		Generator.union([Promise.resolve([1]), Promise.resolve([2])]).then(function(items) {
+			Generator.setLogger();
+			expect(items.sort()).toEqual([1,2]);
+			expect(messages.length).toBe(1);
+			expect(messages[0]).toContain('deprecated');
+			_done();
+		});
+	});
+});
+describe('Generator.splitPromise()', function() {
+	it("emits each item of a promise's array result", function(_done) {
+		var expectedItems = [1,2,3];
+		var index = 0;
+		
+		Generator.splitPromise(Promise.resolve([1,2,3])).emit(function(item) {
+			expect(item).toBe(expectedItems[index++]);
+		}).done(function() {
+			expect(index).toBe(expectedItems.length);
+			_done();
+		});
+	});
+	it("rejects when the promise rejects", function(_done) {
+		Generator.splitPromise(Promise.reject('failure')).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+	it("rejects with InvalidSubpromiseResolution when the result is not an array", function(_done) {
+		Generator.splitPromise(Promise.resolve(123)).catch(function(err) {
+			expect(err instanceof Generator.InvalidSubpromiseResolution).toBe(true);
+			_done();
+		});
+	});
+});
+describe("Generator.union()", function() {
+	it("provides a Generator which emits the values of all given generators", function(_done) {
+		var items = {};
+		for (var i = 1, max = 6; i <= max; ++i) {
+			items[i] = true;
+		}
+		
+		Generator.union([
+			new Generator([1,2,3]),
+			new Generator([4,5,6])
+		]).emit(function(value) {
+			expect(typeof items[value]).not.toBe('undefined');
+			delete items[value];
+		}).done(function() {
+			for (var i = 1, max = 6; i <= max; ++i)
+				expect(typeof items[i]).toBe('undefined');
+			_done();
+		});
+	});
+});
+describe("Generator.union() failures", function() {
+	it("collects the errors of every failed generator without failFast", function(_done) {
+		var items = [];
+		Generator.union([
+			new Generator(function(done, reject) { reject('first'); }),
+			new Generator([1,2]),
+			new Generator(function(done, reject) { setTimeout(function() { reject('second'); }, 5); })
+		], { failFast: false }).emit(function(item) {
+			items.push(item);
+		}).catch(function(err) {
+			expect(err instanceof Generator.AggregateError).toBe(true);
+			expect(err.errors).toEqual(['first','second']);
+			expect(items).toEqual([1,2]);
+			_done();
+		});
+	});
+});
+describe("Generator.concat()", function() {
+	it("emits the items of each source in turn", function(_done) {
+		Generator.concat([
+			new Generator([1,2]),
+			[3],
+			new Generator([4,5])
+		]).then(function(items) {
+			expect(items).toEqual([1,2,3,4,5]);
+			_done();
+		});
+	});
+	it("starts producer functions only once their turn comes", function(_done) {
+		var started = false;
+		
+		Generator.concat([
+			Generator.timer(20),
+			function(done, reject, emit) {
+				started = true;
+				emit(1);
+				done();
+			}
+		]).emit(function(item) {
+			if (item === 0)
+				expect(started).toBe(false);
+		}).done(function() {
+			expect(started).toBe(true);
+			_done();
+		});
+	});
+	it("rejects when a source fails and cancels the rest", function(_done) {
+		var last = new Generator([3]);
+		
+		Generator.concat([
+			new Generator(function(done, reject, emit) {
+				reject('failure');
+			}),
+			last
+		]).catch(function(err) {
+			expect(err).toBe('failure');
+			last.cancelled(function() {
+				_done();
+			});
+		});
+	});
+});
+describe("Generator.zip()", function() {
+	it("pairs items by position and ends with the shortest source", function(_done) {
+		var long = new Generator([1,2,3,4]);
+		
+		Generator.zip([long, new Generator(['a','b'])]).then(function(items) {
+			expect(items).toEqual([[1,'a'],[2,'b']]);
+			long.cancelled(function() {
+				_done();
+			});
+		});
+	});
+});
+describe("Generator.race()", function() {
+	it("mirrors the first source to emit and cancels the others", function(_done) {
+		var slow = Generator.timer(50);
+		
+		Generator.race([slow, Generator.timer(5).map(function() { return 'fast'; })]).then(function(items) {
+			expect(items).toEqual(['fast']);
+			expect(slow.state).toBe(Generator.CANCELLED);
+			_done();
+		});
+	});
+	it("cancels its sources when cancelled", function(_done) {
+		var source = Generator.timer(50);
+		
+		source.cancelled(function() {
+			_done();
+		});
+		Generator.race([source]).cancel();
+	});
+});
+describe("Generator.combineLatest()", function() {
+	it("emits the latest item of each source", function(_done) {
+		var emitA, emitB, doneA, doneB;
+		
+		Generator.combineLatest([
+			new Generator(function(done, reject, emit) {
+				emitA = emit;
+				doneA = done;
+			}),
+			new Generator(function(done, reject, emit) {
+				emitB = emit;
+				doneB = done;
+			})
+		]).then(function(items) {
+			expect(items).toEqual([[1,'a'],[2,'a'],[2,'b']]);
+			_done();
+		});
+		
+		emitA(1);
+		setTimeout(function() {
+			emitB('a');
+			setTimeout(function() {
+				emitA(2);
+				setTimeout(function() {
+					emitB('b');
+					doneA();
+					doneB();
+				}, 5);
+			}, 5);
+		}, 5);
+	});
+	it("completes and cancels the other sources when a source completes without emitting", function(_done) {
+		var interval = Generator.interval(5);
+		
+		interval.cancelled(function() {
+			_done();
+		});
+		Generator.combineLatest([interval, new Generator([])]).then(function(items) {
+			expect(items).toEqual([]);
+		});
+	});
+	it("completes once when several sources are empty", function(_done) {
+		var problems = [];
+		Generator.setStrict({ report: function(problem) { problems.push(problem); } });
+		
+		Generator.combineLatest([new Generator([]), new Generator([])]).done(function() {
+			setTimeout(function() {
+				Generator.setStrict(false);
+				expect(problems).toEqual([]);
+				_done();
+			}, 5);
+		});
+	});
+	it("rejects when a source fails", function(_done) {
+		Generator.combineLatest([
+			new Generator([1]),
+			new Generator(function(done, reject, emit) {
+				reject('failure');
+			})
+		]).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+});
+describe("Generator.retry()", function() {
+	it('resumes from the cursor after a rejection', function(_done) {
+		var cursors = [];
+		Generator.retry(function(cursor) {
+			cursors.push(cursor);
+			return new Generator(function(done, reject, emit) {
+				for (var i = cursor.count + 1; i <= 4; ++i) {
+					if (i == 3 && cursor.attempt == 1)
+						return reject('network');
+					emit(i);
+				}
+				done();
+			});
+		}).then(function(items) {
+			expect(items).toEqual([1,2,3,4]);
+			expect(cursors).toEqual([
+				{ attempt: 1, count: 0, last: undefined },
+				{ attempt: 2, count: 2, last: 2 }
+			]);
+			_done();
+		});
+	});
+	it('rejects with the last error once the attempts are used up', function(_done) {
+		var delays = [];
+		Generator.retry(function(cursor) {
+			return Promise.reject('failure ' + cursor.attempt);
+		}, {
+			attempts: 3,
+			backoff: function(attempt) {
+				delays.push(attempt);
+				return attempt * 2;
+			}
+		}).catch(function(err) {
+			expect(err).toBe('failure 3');
+			expect(delays).toEqual([1,2]);
+			_done();
+		});
+	});
+	it('stops retrying when shouldRetry returns false', function(_done) {
+		var calls = 0;
+		Generator.retry(function() {
+			++calls;
+			return Promise.reject({ fatal: true });
+		}, {
+			shouldRetry: function(err) { return !err.fatal; }
+		}).catch(function(err) {
+			expect(err.fatal).toBe(true);
+			expect(calls).toBe(1);
+			_done();
+		});
+	});
+});
+
+describe("Generator.channel()", function() {
+	it('buffers items pushed before anyone subscribes', function(_done) {
+		var channel = Generator.channel();
+		channel.push(1);
+		channel.push(2);
+		channel.end();
+		
+		setTimeout(function() {
+			channel.generator.then(function(items) {
+				expect(items).toEqual([1,2]);
+				_done();
+			});
+		}, 5);
+	});
+	it('blocks pushes while the buffer is full', function(_done) {
+		var channel = Generator.channel({ bufferSize: 1 });
+		var accepted = [];
+		
+		channel.push(1).then(function() { accepted.push(1); });
+		channel.push(2).then(function() { accepted.push(2); });
+		
+		setTimeout(function() {
+			expect(accepted).toEqual([1]);
+			channel.end();
+			channel.generator.then(function(items) {
+				expect(items).toEqual([1,2]);
+				expect(accepted).toEqual([1,2]);
+				_done();
+			});
+		}, 5);
+	});
+	it('drops items according to the overflow policy', function(_done) {
+		var oldest = Generator.channel({ bufferSize: 2, overflow: 'drop-oldest' });
+		var newest = Generator.channel({ bufferSize: 2, overflow: 'drop-newest' });
+		var results = [];
+		
+		[1,2,3].forEach(function(item) {
+			oldest.push(item);
+			results.push(newest.push(item));
+		});
+		oldest.end();
+		newest.end();
+		
+		Promise.all([oldest.generator, newest.generator, Promise.all(results)]).then(function(results) {
+			expect(results).toEqual([[2,3],[1,2],[true,true,false]]);
+			_done();
+		});
+	});
+	it('rejects pushes which overflow with the error policy', function(_done) {
+		var channel = Generator.channel({ bufferSize: 1, overflow: 'error' });
+		channel.push(1);
+		channel.push(2).catch(function(err) {
+			expect(err instanceof Generator.ChannelOverflowError).toBe(true);
+			_done();
+		});
+	});
+	it('rejects the generator after the queued items with error()', function(_done) {
+		var channel = Generator.channel();
+		var items = [];
+		
+		channel.push(1);
+		channel.error('failure');
+		channel.generator.emit(function(item) {
+			items.push(item);
+		}).catch(function(err) {
+			expect(items).toEqual([1]);
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+});
+
+describe("Generator.paginate()", function() {
+	var fakeApi = function(rows, pageSize, log) {
+		return function(cursor) {
+			log.push(cursor);
+			var offset = cursor || 0;
+			return Promise.resolve({
+				items: rows.slice(offset, offset + pageSize),
+				nextCursor: offset + pageSize < rows.length ? offset + pageSize : null
+			});
+		};
+	};
+	
+	it('emits the items of every page', function(_done) {
+		var log = [];
+		Generator.paginate(fakeApi([1,2,3,4,5], 2, log)).then(function(items) {
+			expect(items).toEqual([1,2,3,4,5]);
+			expect(log).toEqual([undefined,2,4]);
+			_done();
+		});
+	});
+	it('only fetches pages as they are consumed', function(_done) {
+		var log = [];
+		Generator.paginate(fakeApi([1,2,3,4,5,6], 2, log), { initialCursor: 0 }).take(3).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			setTimeout(function() {
+				expect(log).toEqual([0,2]);
+				_done();
+			}, 10);
+		});
+	});
+	it('does not fetch anything before someone subscribes', function(_done) {
+		var log = [];
+		var generator = Generator.paginate(fakeApi([1,2,3,4,5], 2, log), { initialCursor: 0 });
+		
+		setTimeout(function() {
+			expect(log).toEqual([]);
+			generator.then(function(items) {
+				expect(items).toEqual([1,2,3,4,5]);
+				expect(log).toEqual([0,2,4]);
+				_done();
+			});
+		}, 20);
+	});
+	it('rejects when a page fails', function(_done) {
+		Generator.paginate(function(cursor) {
+			if (cursor)
+				return Promise.reject('page failed');
+			return Promise.resolve({ items: [1], nextCursor: 'next' });
+		}).then(null, function(err) {
+			expect(err).toBe('page failed');
+			_done();
+		});
+	});
+});
+
+describe("Generator.mergeSorted()", function() {
+	it("merges sorted generators into sorted order", function(_done) {
+		Generator.mergeSorted([
+			new Generator([1,4,7]),
+			new Generator([2,5,8,9]),
+			new Generator([3,6])
+		]).then(function(items) {
+			expect(items).toEqual([1,2,3,4,5,6,7,8,9]);
+			_done();
+		});
+	});
+	it("can take a comparator", function(_done) {
+		Generator.mergeSorted([
+			new Generator([{n:5},{n:1}]),
+			new Generator([{n:4},{n:2}])
+		], function(a, b) {
+			return b.n - a.n;
+		}).map(function(item) {
+			return item.n;
+		}).then(function(items) {
+			expect(items).toEqual([5,4,2,1]);
+			_done();
+		});
+	});
+	it("holds back sources while waiting for a slow one", function(_done) {
+		var produced = 0;
+		var fast = new Generator(function(done, reject, emit) {
+			var next = function() {
+				if (produced >= 5)
+					return done();
+				emit(++produced).then(next);
+			};
+			next();
+		});
+		var slow = Generator.timer(30).map(function() {
+			return 10;
+		});
+		
+		var merged = Generator.mergeSorted([fast, slow]);
+		
+		setTimeout(function() {
+			expect(produced).toBeLessThan(3);
+			merged.then(function(items) {
+				expect(items).toEqual([1,2,3,4,5,10]);
+				_done();
+			});
+		}, 10);
+	});
+	it("rejects when a source fails", function(_done) {
+		Generator.mergeSorted([
+			new Generator([1,2]),
+			new Generator(function(done, reject, emit) {
+				reject('failure');
+			})
+		]).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+});
+describe("Generator.exclude()", function() {
+	it("provides a Generator which emits the values of setA which are not in setB", function(_done) {
+		var count = 0;
+		Generator.exclude(
+			new Generator([1,2,3]),
+			new Generator([1,3])
+		).emit(function(value) {
+			++count;
+			expect(value).toBe(2);
+		}).done(function() {
+			expect(count).toBe(1);
+			_done();
+		});
+	});
+	it("can take a comparator function", function(_done) {
+		var count = 0;
+		Generator.exclude(
+			new Generator([{id:1},{id:2},{id:3}]),
+			new Generator([{id:1},{id:3}]),
+			function(a,b) {
+				return a.id == b.id;
+			}
+		).emit(function(item) {
+			++count;
+			expect(item.id).toBe(2);
+		}).done(function() {
+			expect(count).toBe(1);
+			_done();
+		});
+	});
+	it("can take a hasher", function(_done) {
+		Generator.exclude(
+			new Generator([{id:1},{id:2},{id:3}]),
+			new Generator([{id:1},{id:3}]),
+			{ hasher: function(item) { return item.id; } }
+		).then(function(items) {
+			expect(items).toEqual([{id:2}]);
+			_done();
+		});
+	});
+	it("streams setA once setB has completed", function(_done) {
+		var emitA;
+		var setA = new Generator(function(done, reject, emit) {
+			emitA = emit;
+		});
+		
+		Generator.exclude(setA, new Generator([1])).emit(function(item) {
+			expect(item).toBe(2);
+			_done();
+		});
+		
+		emitA(1);
+		emitA(2);
+	});
+	it("accepts promises and iterables", function(_done) {
+		Generator.exclude(new Set([1,2,3]), Promise.resolve([2])).then(function(items) {
+			expect(items).toEqual([1,3]);
+			_done();
+		});
+	});
+	it("rejects when either set fails", function(_done) {
+		Generator.exclude(new Generator([1,2,3]), Promise.reject('failure')).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+});
+
+describe('Generator.intersectByHash()', function() {
+	it('provides a Generator of A intersected with B', function(_done) {
+		
+		var expectedItems = [2,3,6];
+		var index = 0;
+		
+		Generator.intersectByHash(
+			[
+				new Generator([{id:6},{id:1},{id:2},{id:3}              ]),
+				new Generator([              {id:2},{id:3},{id:5},{id:6}])
+			],
+			function(item) {
+				return item.id
+			}
+		).emit(function(item) {
+			//console.log('emitted '+item.id);
+			expect(index < expectedItems.length).toBe(true);
+			expect(item.id).toBe(expectedItems[index]);
+			++index;
+		}).done(function() {
+			expect(index).toBe(expectedItems.length);
+			_done();
+		});
+	
+	});
+});
+describe('Generator.intersectByHash() membership', function() {
+	var byId = function(item) {
+		return item.id;
+	};
+	
+	it('is not satisfied by one generator emitting an item twice', function(_done) {
+		Generator.intersectByHash([
+			new Generator([{id:1},{id:1}]),
+			new Generator([{id:2}])
+		], byId).then(function(items) {
+			expect(items).toEqual([]);
+			_done();
+		});
+	});
+	it('emits an item as many times as it occurs in every generator', function(_done) {
+		Generator.intersectByHash([
+			new Generator([{id:1},{id:1},{id:1}]),
+			new Generator([{id:1},{id:1}])
+		], byId).then(function(items) {
+			expect(items.length).toBe(2);
+			_done();
+		});
+	});
+});
+describe('Generator.intersectByComparison() membership', function() {
+	var sameId = function(a, b) {
+		return a.id === b.id;
+	};
+	
+	it('is not satisfied by one generator emitting an item twice', function(_done) {
+		Generator.intersectByComparison([
+			new Generator([{id:1},{id:1}]),
+			new Generator([{id:2}])
+		], sameId).then(function(items) {
+			expect(items).toEqual([]);
+			_done();
+		});
+	});
+	it('emits an item as many times as it occurs in every generator', function(_done) {
+		Generator.intersectByComparison([
+			new Generator([{id:1},{id:1},{id:1},{id:2}]),
+			new Generator([{id:2},{id:1},{id:1}])
+		], sameId).then(function(items) {
+			expect(items.map(function(item) { return item.id; }).sort()).toEqual([1,1,2]);
+			_done();
+		});
+	});
+});
+describe('Generator.intersectByComparison()', function() {
+	it('provides a Generator of A intersected with B', function(_done) {
+		
+		var expectedItems = [2,3,6];
+		var index = 0;
+		
+		Generator.intersectByComparison(
+			[
+				new Generator([{id:6},{id:1},{id:2},{id:3}              ]),
+				new Generator([              {id:2},{id:3},{id:5},{id:6}])
+			],
+			function(a, b) {
+				return a.id == b.id;
+			}
+		).emit(function(item) {
+			//console.log('emitted '+item.id);
+			expect(index < expectedItems.length).toBe(true);
+			expect(item.id).toBe(expectedItems[index]);
+			++index;
+		}).done(function() {
+			expect(index).toBe(expectedItems.length);
+			_done();
+		});
+	
+	});
+});
+describe('Generator.intersection()', function() {
+	it('intersects by identity, comparator or hasher', function(_done) {
+		Promise.all([
+			Generator.intersection([new Generator([1,2,3]), new Generator([3,2,2])]),
+			Generator.intersection([new Generator([{id:1}]), new Generator([{id:1}])], function(a, b) {
+				return a.id == b.id;
+			}),
+			Generator.intersection([new Generator([{id:1}]), new Generator([{id:2}])], {
+				hasher: function(item) { return item.id; }
+			})
+		]).then(function(results) {
+			expect(results[0].sort()).toEqual([2,3]);
+			expect(results[1].length).toBe(1);
+			expect(results[2].length).toBe(0);
+			_done();
+		});
+	});
+});
+describe('Generator.difference()', function() {
+	it('emits the items of setA which are not in setB', function(_done) {
+		Generator.difference(new Generator([1,2,3]), new Generator([2])).then(function(items) {
+			expect(items).toEqual([1,3]);
+			_done();
+		});
+	});
+});
+describe('Generator.symmetricDifference()', function() {
+	it('emits the items which are in only one of the sets', function(_done) {
+		Generator.symmetricDifference(
+			new Generator([{id:1},{id:2}]),
+			new Generator([{id:2},{id:3}]),
+			{ hasher: function(item) { return item.id; } }
+		).then(function(items) {
+			expect(items).toEqual([{id:1},{id:3}]);
+			_done();
+		});
+	});
+});
+describe('Generator#mapAsync()', function() {
+	var later = function(value, ms) {
+		return new Promise(function(resolve) {
+			setTimeout(function() { resolve(value); }, ms);
+		});
+	};
+	
+	it('limits the number of calls in flight and keeps the order', function(_done) {
+		var active = 0, peak = 0;
+		new Generator([30,10,20,5,1]).mapAsync(function(ms) {
+			++active;
+			peak = Math.max(peak, active);
+			return later(ms, ms).then(function(value) {
+				--active;
+				return value;
+			});
+		}, { concurrency: 2 }).then(function(items) {
+			expect(items).toEqual([30,10,20,5,1]);
+			expect(peak).toBe(2);
+			_done();
+		});
+	});
+	it('emits in completion order when not ordered', function(_done) {
+		new Generator([30,10,20]).mapAsync(function(ms) {
+			return later(ms, ms);
+		}, { concurrency: 3, ordered: false }).then(function(items) {
+			expect(items).toEqual([10,20,30]);
+			_done();
+		});
+	});
+	it('rejects on the first failure and aborts pending work', function(_done) {
+		var aborted = 0;
+		new Generator([1,2,3]).mapAsync(function(item, onCancel) {
+			onCancel(function() { ++aborted; });
+			return item === 3 ? Promise.reject('failure') : later(item, 50);
+		}, { concurrency: 3 }).catch(function(err) {
+			expect(err).toBe('failure');
+			expect(aborted).toBe(2);
+			_done();
+		});
+	});
+	it('collects errors when asked', function(_done) {
+		var items = [];
+		new Generator([1,2,3]).mapAsync(function(item) {
+			return item === 2 ? Promise.reject('failure') : item * 10;
+		}, { errors: 'collect' }).emit(function(item) {
+			items.push(item);
+		}).catch(function(err) {
+			expect(items).toEqual([10,30]);
+			expect(err instanceof Generator.AggregateError).toBe(true);
+			expect(err.errors).toEqual(['failure']);
+			expect(err.items).toEqual([2]);
+			_done();
+		});
+	});
+	it('aborts pending work when cancelled', function(_done) {
+		var generator = new Generator([1,2]).mapAsync(function(item, onCancel) {
+			onCancel(function() {
+				generator.cancelled(function() {
+					_done();
+				});
+			});
+			setTimeout(function() { generator.cancel(); }, 5);
+			return later(item, 50);
+		});
+	});
+});
+describe('Generator#distinct()', function() {
+	it('emits each item once', function(_done) {
+		new Generator([1,2,1,3,2]).distinct().then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	it('can take a hasher', function(_done) {
+		new Generator([{id:1},{id:1},{id:2}]).distinct(function(item) {
+			return item.id;
+		}).then(function(items) {
+			expect(items).toEqual([{id:1},{id:2}]);
+			_done();
+		});
+	});
+});
+describe('Generator#distinctBy()', function() {
+	it('compares items with the comparator', function(_done) {
+		new Generator([{id:1},{id:1},{id:2}]).distinctBy(function(a, b) {
+			return a.id == b.id;
+		}).then(function(items) {
+			expect(items).toEqual([{id:1},{id:2}]);
+			_done();
+		});
+	});
+});
+
+describe('Generator#map()', function() {
+	it('emits the result of the function for each item', function(_done) {
+		new Generator([1,2,3]).map(function(item) {
+			return item * 2;
+		}).then(function(items) {
+			expect(items).toEqual([2,4,6]);
+			_done();
+		});
+	});
+	it('rejects when the function throws', function(_done) {
+		new Generator([1,2,3]).map(function(item) {
+			throw 'bad item';
+		}).catch(function(err) {
+			expect(err).toBe('bad item');
+			_done();
+		});
+	});
+});
+describe('Generator#filter()', function() {
+	it('emits only the items which pass the predicate', function(_done) {
+		new Generator([1,2,3,4]).filter(function(item) {
+			return item % 2 == 0;
+		}).then(function(items) {
+			expect(items).toEqual([2,4]);
+			_done();
+		});
+	});
+});
+describe('Generator#take()', function() {
+	it('emits only the first items and cancels the upstream generator', function(_done) {
+		var cancelled = false;
+		new Generator(function(done, reject, emit) {
+			var next = 1;
+			var interval = setInterval(function() {
+				if (cancelled) {
+					clearInterval(interval);
+					done();
+					return;
+				}
+				emit(next++, function() {
+					cancelled = true;
+				});
+			}, 10);
+		}).take(2).then(function(items) {
+			expect(items).toEqual([1,2]);
+			expect(cancelled).toBe(true);
+			_done();
+		});
+	});
+	it('completes when the upstream generator has fewer items', function(_done) {
+		new Generator([1,2]).take(5).then(function(items) {
+			expect(items).toEqual([1,2]);
+			_done();
+		});
+	});
+});
+describe('Generator#takeWhile()', function() {
+	it('emits items until the predicate fails', function(_done) {
+		new Generator([1,2,3,1]).takeWhile(function(item) {
+			return item < 3;
+		}).then(function(items) {
+			expect(items).toEqual([1,2]);
+			_done();
+		});
+	});
+});
+describe('Generator#skip()', function() {
+	it('ignores the first items', function(_done) {
+		new Generator([1,2,3,4]).skip(2).then(function(items) {
+			expect(items).toEqual([3,4]);
+			_done();
+		});
+	});
+});
+describe('Generator#flatMap()', function() {
+	it('emits the items of each generator produced by the function', function(_done) {
+		new Generator([1,2]).flatMap(function(item) {
+			return [item, item * 10];
+		}).then(function(items) {
+			expect(items.sort(function(a, b) { return a - b; })).toEqual([1,2,10,20]);
+			_done();
+		});
+	});
+	it('can be chained with other operators', function(_done) {
+		new Generator([1,2,3,4,5]).filter(function(item) {
+			return item % 2 == 1;
+		}).flatMap(function(item) {
+			return Generator.resolve(item);
+		}).map(function(item) {
+			return item + 1;
+		}).skip(1).take(1).then(function(items) {
+			expect(items).toEqual([4]);
+			_done();
+		});
+	});
+	it('cancels the other inner generators when one of them fails', function(_done) {
+		var ticks = Generator.interval(5);
+		
+		ticks.cancelled(function() {
+			_done();
+		});
+		new Generator([1,2]).flatMap(function(item) {
+			if (item == 1)
+				return ticks;
+			return new Generator(function(done, reject) {
+				setTimeout(function() { reject('failure'); }, 10);
+			});
+		}).catch(function(err) {
+			expect(err).toBe('failure');
+		});
+	});
+});
+
+describe('Generator#share()', function() {
+	it('delivers one run of the producer to every subscriber', function(_done) {
+		var runs = 0;
+		var shared = new Generator(function(done, reject, emit) {
+			++runs;
+			emit(1);
+			emit(2);
+			done();
+		}, { lazy: true }).share();
+		
+		Promise.all([shared.subscribe(), shared.subscribe()]).then(function(results) {
+			expect(results).toEqual([[1,2],[1,2]]);
+			expect(runs).toBe(1);
+			_done();
+		});
+	});
+	it('cancels the source when the last subscriber leaves', function(_done) {
+		var source = Generator.interval(5);
+		var shared = source.share();
+		var a = shared.subscribe();
+		var b = shared.subscribe();
+		
+		source.cancelled(function() {
+			expect(a.state).toBe(Generator.CANCELLED);
+			expect(b.state).toBe(Generator.CANCELLED);
+			_done();
+		});
+		
+		a.emit(function(item) {
+			if (item == 1)
+				a.cancel();
+		});
+		b.emit(function(item) {
+			expect(source.state).toBe(Generator.PENDING);
+			if (item == 2)
+				b.cancel();
+		});
+	});
+});
+describe('Generator#publish()', function() {
+	it('starts delivering on connect()', function(_done) {
+		var published = new Generator([1,2,3]).publish();
+		var a = published.subscribe();
+		var b = published.subscribe().map(function(item) { return item * 10; });
+		
+		published.connect();
+		Promise.all([a, b]).then(function(results) {
+			expect(results).toEqual([[1,2,3],[10,20,30]]);
+			_done();
+		});
+	});
+});
+describe('Generator#buffer()', function() {
+	it('emits arrays of items and flushes the last one on completion', function(_done) {
+		new Generator([1,2,3,4,5]).buffer(2).then(function(batches) {
+			expect(batches).toEqual([[1,2],[3,4],[5]]);
+			_done();
+		});
+	});
+	it('drops the partial batch on rejection', function(_done) {
+		var batches = [];
+		
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+			emit(3);
+			reject('failure');
+		}).buffer(2).emit(function(batch) {
+			batches.push(batch);
+		}).catch(function(err) {
+			expect(err).toBe('failure');
+			expect(batches).toEqual([[1,2]]);
+			_done();
+		});
+	});
+	it('can flush the partial batch on rejection', function(_done) {
+		var batches = [];
+		
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+			emit(3);
+			reject('failure');
+		}).chunk(2, { partial: 'flush' }).emit(function(batch) {
+			batches.push(batch);
+		}).catch(function(err) {
+			expect(batches).toEqual([[1,2],[3]]);
+			_done();
+		});
+	});
+	it('can flush the partial batch when the source is cancelled', function(_done) {
+		var source = new Generator(function(done, reject, emit) {
+			emit(1);
+		});
+		
+		source.buffer(2, { partial: 'flush' }).then(function(batches) {
+			expect(batches).toEqual([[1]]);
+			_done();
+		});
+		
+		setTimeout(function() {
+			source.cancel();
+		}, 10);
+	});
+});
+describe('Generator#bufferTime()', function() {
+	it('emits the items collected in each period', function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+			setTimeout(function() {
+				emit(3);
+				done();
+			}, 50);
+		}).bufferTime(25).then(function(batches) {
+			expect(batches).toEqual([[1,2],[3]]);
+			_done();
+		});
+	});
+	it('emits early when the batch is full', function(_done) {
+		new Generator([1,2,3]).bufferTime(1000, 2).then(function(batches) {
+			expect(batches).toEqual([[1,2],[3]]);
+			_done();
+		});
+	});
+});
+describe('Generator#window()', function() {
+	it('emits a generator for each group of items', function(_done) {
+		new Generator([1,2,3,4,5]).window(2).flatMap(function(window) {
+			return window.buffer(10);
+		}).then(function(windows) {
+			expect(windows).toEqual([[1,2],[3,4],[5]]);
+			_done();
+		});
+	});
+	it('rejects the open window on rejection', function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			reject('failure');
+		}).window(2).emit(function(window) {
+			window.catch(function(err) {
+				expect(err).toBe('failure');
+				_done();
+			});
+		});
+	});
+});
+
+describe('Generator#reduce()', function() {
+	it('reduces the items to a single value', function(_done) {
+		new Generator([1,2,3,4]).reduce(function(acc, item) {
+			return acc + item;
+		}, 10).then(function(result) {
+			expect(result).toBe(20);
+			_done();
+		});
+	});
+	it('uses the first item as the seed, and rejects an empty generator without one', function(_done) {
+		new Generator([[1],[2],[3]]).reduce(function(acc, item) {
+			return acc.concat(item);
+		}).then(function(result) {
+			expect(result).toEqual([1,2,3]);
+			return new Generator([]).reduce(function(acc, item) { return acc; });
+		}).catch(function(err) {
+			expect(err instanceof TypeError).toBe(true);
+			_done();
+		});
+	});
+	it('rejects when the generator fails', function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			reject('failure');
+		}).reduce(function(acc) { return acc; }, 0).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+});
+describe('Generator#scan()', function() {
+	it('emits the running accumulation', function(_done) {
+		new Generator([1,2,3]).scan(function(acc, item) {
+			return acc + item;
+		}, 0).then(function(items) {
+			expect(items).toEqual([1,3,6]);
+			_done();
+		});
+	});
+});
+describe('Generator aggregation helpers', function() {
+	it('count, sum, min and max the items', function(_done) {
+		Promise.all([
+			new Generator([3,1,2]).count(),
+			new Generator([3,1,2]).sum(),
+			new Generator([3,1,2]).min(),
+			new Generator([3,1,2]).max(),
+			new Generator([]).max(),
+			new Generator(['bb','a','ccc']).max(function(a, b) { return a.length - b.length; })
+		]).then(function(results) {
+			expect(results).toEqual([3,6,1,3,undefined,'ccc']);
+			_done();
+		});
+	});
+});
+describe('Generator#groupBy()', function() {
+	it('emits a generator for each key', function(_done) {
+		var groups = {};
+		new Generator([1,2,3,4,5]).groupBy(function(item) {
+			return item % 2 ? 'odd' : 'even';
+		}).emit(function(group) {
+			groups[group.key] = group.then(function(items) { return items; });
+		}).done(function() {
+			Promise.all([groups.odd, groups.even]).then(function(results) {
+				expect(results).toEqual([[1,3,5],[2,4]]);
+				_done();
+			});
+		});
+	});
+	it('rejects the open groups when the key function throws', function(_done) {
+		new Generator([1,2,3]).groupBy(function(item) {
+			if (item == 2)
+				throw 'bad key';
+			return item;
+		}).emit(function(group) {
+			group.catch(function(err) {
+				expect(err).toBe('bad key');
+				expect(group.key).toBe(1);
+				_done();
+			});
+		});
+	});
+	it('replays group items for late listeners when asked', function(_done) {
+		new Generator([1,2,3]).groupBy(function() {
+			return 'all';
+		}, { replay: true }).then(function(groups) {
+			expect(groups.length).toBe(1);
+			return groups[0];
+		}).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+});
+
+describe('Generator.interval()', function() {
+	it('emits increasing numbers until cancelled', function(_done) {
+		Generator.interval(5).take(3).then(function(items) {
+			expect(items).toEqual([0,1,2]);
+			_done();
+		});
+	});
+});
+describe('Generator.timer()', function() {
+	it('emits once after the delay and completes', function(_done) {
+		var start = Date.now();
+		Generator.timer(20).then(function(items) {
+			expect(items).toEqual([0]);
+			expect(Date.now() - start).not.toBeLessThan(19);
+			_done();
+		});
+	});
+});
+describe('Generator#debounce()', function() {
+	var burst = function() {
+		return new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+			setTimeout(function() {
+				emit(3);
+				done();
+			}, 60);
+		});
+	};
+	
+	it('emits only items followed by a quiet period', function(_done) {
+		burst().debounce(30).then(function(items) {
+			expect(items).toEqual([2,3]);
+			_done();
+		});
+	});
+});
+describe('Generator#throttle()', function() {
+	it('ignores items which follow an emitted item too closely', function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+			setTimeout(function() {
+				emit(3);
+				done();
+			}, 60);
+		}).throttle(30).then(function(items) {
+			expect(items).toEqual([1,3]);
+			_done();
+		});
+	});
+});
+describe('Generator#delay()', function() {
+	it('emits every item later and then completes', function(_done) {
+		var start = Date.now();
+		new Generator([1,2,3]).delay(20).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			expect(Date.now() - start).not.toBeLessThan(19);
+			_done();
+		});
+	});
+	it('clears its timers when cancelled', function(_done) {
+		var delayed = new Generator([1,2,3]).delay(20);
+		var emitted = 0;
+		
+		delayed.emit(function() {
+			++emitted;
+		});
+		delayed.cancel();
+		
+		setTimeout(function() {
+			expect(emitted).toBe(0);
+			_done();
+		}, 50);
+	});
+});
+describe('Generator#sample()', function() {
+	it('emits the latest item at each interval', function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			emit(2);
+			setTimeout(function() {
+				emit(3);
+			}, 50);
+			setTimeout(done, 100);
+		}).sample(30).then(function(items) {
+			expect(items).toEqual([2,3]);
+			_done();
+		});
+	});
+});
+
+describe('Generator#timeout()', function() {
+	it('rejects and cancels the source when it takes too long in total', function(_done) {
+		var source = Generator.interval(5);
+		var items = [];
+		source.timeout({ total: 30 }).emit(function(item) {
+			items.push(item);
+		}).catch(function(err) {
+			expect(err instanceof Generator.TimeoutError).toBe(true);
+			expect(items.length).toBeGreaterThan(0);
+			expect(source.state).toBe(Generator.CANCELLED);
+			_done();
+		});
+	});
+	it('rejects when an item takes too long', function(_done) {
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			setTimeout(function() {
+				emit(2);
+				done();
+			}, 50);
+		}).timeout({ perItem: 20 }).catch(function(err) {
+			expect(err instanceof Generator.TimeoutError).toBe(true);
+			_done();
+		});
+	});
+	it('does not count time spent in slow consumers', function(_done) {
+		new Generator([1,2]).timeout({ perItem: 10 }).emit(function() {
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 20);
+			});
+		}).done(function() {
+			_done();
+		});
+	});
+});
+describe('Generator combinator deadlines', function() {
+	it('rejects a union which misses its deadline', function(_done) {
+		var slow = new Generator(function() { });
+		var error = null;
+		
+		slow.cancelled(function() {
+			expect(error instanceof Generator.TimeoutError).toBe(true);
+			_done();
+		});
+		Generator.union([new Generator([1]), slow], { deadline: 10 }).catch(function(err) {
+			error = err;
+		});
+	});
+	it('lets an intersection complete before its deadline', function(_done) {
+		Generator.intersectByHash([new Generator([1,2]), new Generator([2,3])], null, {
+			deadline: new Date(Date.now() + 1000)
+		}).then(function(items) {
+			expect(items).toEqual([2]);
+			_done();
+		});
+	});
+});
+describe('Generator.fromEvent()', function() {
+	var emitter = function() {
+		var listeners = {};
+		return {
+			on: function(name, fn) {
+				(listeners[name] = listeners[name] || []).push(fn);
+			},
+			off: function(name, fn) {
+				listeners[name].splice(listeners[name].indexOf(fn), 1);
+			},
+			fire: function(name, value) {
+				var fns = (listeners[name] || []).slice();
+				for (var i = 0; i < fns.length; ++i)
+					fns[i](value);
+			},
+			count: function(name) {
+				return (listeners[name] || []).length;
+			}
+		};
+	};
+	
+	it('emits the events of an EventEmitter until the end event', function(_done) {
+		var target = emitter();
+		
+		Generator.fromEvent(target, 'message', { endEvent: 'close' }).then(function(items) {
+			expect(items).toEqual(['a', 'b']);
+			expect(target.count('message')).toBe(0);
+			expect(target.count('close')).toBe(0);
+			_done();
+		});
+		
+		target.fire('message', 'a');
+		target.fire('message', 'b');
+		target.fire('close');
+		target.fire('message', 'c');
+	});
+	it('rejects on the error event', function(_done) {
+		var target = emitter();
+		
+		Generator.fromEvent(target, 'message', { errorEvent: 'error' }).catch(function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+		
+		target.fire('error', 'failure');
+	});
+	it('completes after the given number of events', function(_done) {
+		var target = emitter();
+		
+		Generator.fromEvent(target, 'message', { count: 2 }).then(function(items) {
+			expect(items).toEqual([1, 2]);
+			expect(target.count('message')).toBe(0);
+			_done();
+		});
+		
+		target.fire('message', 1);
+		target.fire('message', 2);
+		target.fire('message', 3);
+	});
+	it('supports EventTargets and removes its listener when cancelled', function(_done) {
+		var target = emitter();
+		target.addEventListener = target.on;
+		target.removeEventListener = target.off;
+		
+		var generator = Generator.fromEvent(target, 'click');
+		generator.emit(function(event, cancel) {
+			expect(event).toBe('first');
+			cancel();
+		}).cancelled(function() {
+			expect(target.count('click')).toBe(0);
+			_done();
+		});
+		
+		target.fire('click', 'first');
+	});
+});
+
+var stream = typeof require === 'function' ? require('stream') : null;
+
+(stream ? describe : xdescribe)('Generator.fromStream()', function() {
+	it('emits the chunks of the stream and completes when it ends', function(_done) {
+		var readable = new stream.Readable({ objectMode: true, read: function() { } });
+		
+		Generator.fromStream(readable).then(function(items) {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+		
+		readable.push(1);
+		readable.push(2);
+		readable.push(3);
+		readable.push(null);
+	});
+	it('rejects when the stream errors', function(_done) {
+		var readable = new stream.Readable({ objectMode: true, read: function() { } });
+		
+		Generator.fromStream(readable).catch(function(err) {
+			expect(err.message).toBe('stream failure');
+			_done();
+		});
+		
+		readable.destroy(new Error('stream failure'));
+	});
+	it('destroys the stream when cancelled', function(_done) {
+		var readable = new stream.Readable({ objectMode: true, read: function() { } });
+		
+		readable.on('close', function() {
+			expect(readable.destroyed).toBe(true);
+			_done();
+		});
+		
+		Generator.fromStream(readable).cancel();
+	});
+});
+(stream ? describe : xdescribe)('Generator#toReadable()', function() {
+	it('provides a readable stream of the items', function(_done) {
+		var items = [];
+		
+		new Generator([1,2,3]).toReadable().on('data', function(item) {
+			items.push(item);
+		}).on('end', function() {
+			expect(items).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	it('holds back the generator while the stream is full', function(_done) {
+		var produced = 0;
+		var readable = new Generator(function(done, reject, emit) {
+			var next = function() {
+				if (produced >= 10)
+					return done();
+				emit(++produced).then(next);
+			};
+			next();
+		}).toReadable({ highWaterMark: 2 });
+		
+		setTimeout(function() {
+			expect(produced).toBeLessThan(5);
+			
+			var items = [];
+			readable.on('data', function(item) {
+				items.push(item);
+			}).on('end', function() {
+				expect(items.length).toBe(10);
+				_done();
+			});
+		}, 30);
+	});
+	it('destroys the stream when the generator is rejected', function(_done) {
+		new Generator(function(done, reject, emit) {
+			reject('failure');
+		}).toReadable().on('error', function(err) {
+			expect(err).toBe('failure');
+			_done();
+		});
+	});
+	it('cancels the generator when the stream is destroyed', function(_done) {
+		var generator = new Generator(function(done, reject, emit) { });
+		generator.cancelled(function() {
+			_done();
+		});
+		generator.toReadable().destroy();
+	});
+	it('can pipe into a writable stream', function(_done) {
+		var written = [];
+		var writable = new stream.Writable({
+			objectMode: true,
+			write: function(item, encoding, cb) {
+				written.push(item);
+				cb();
+			}
+		});
+		
+		new Generator([1,2,3]).pipe(writable).on('finish', function() {
+			expect(written).toEqual([1,2,3]);
+			_done();
+		});
+	});
+	it('destroys the writable stream when the generator is rejected', function(_done) {
+		var writable = new stream.Writable({
+			objectMode: true,
+			write: function(item, encoding, cb) {
+				cb();
+			}
+		});
+		
+		new Generator(function(done, reject, emit) {
+			emit(1);
+			reject('failure');
+		}).pipe(writable).on('error', function(err) {
+			expect(err).toBe('failure');
+			expect(writable.destroyed).toBe(true);
+			_done();
+		});
+	});
+	it('destroys the writable stream when the generator is cancelled', function(_done) {
+		var writable = new stream.Writable({
+			objectMode: true,
+			write: function(item, encoding, cb) {
+				cb();
+			}
+		});
+		var generator = Generator.interval(5);
+		
+		generator.pipe(writable).on('error', function(err) {
+			expect(err instanceof Generator.CancelledError).toBe(true);
+			_done();
+		});
+		setTimeout(function() {
+			generator.cancel();
+		}, 12);
+	});
+});